@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contadores de orçamento de cashback. Cada documento acumula, em centavos, o cashback já concedido dentro de um escopo:
+ * CAMPAIGN: total da campanha (campaign.budgetLimit);
+ * CPF_CAMPAIGN: total de um CPF na campanha (campaign.cpfBudgetLimit);
+ * CPF_MONTH: total de um CPF no mês, somando todas as campanhas (CASHBACK_CPF_MONTHLY_CAP).
+ * O limite não é gravado aqui: ele vem da campanha (ou da configuração) no momento da reserva.
+ */
+const CampaignBudgetSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true, unique: true },
+        scope: { type: String, enum: ['CAMPAIGN', 'CPF_CAMPAIGN', 'CPF_MONTH'], required: true },
+        campaign: { type: String, index: true },
+        cpf: { type: String, index: true },
+        month: { type: String },
+        consumed: { type: Number, default: 0 }
+    },
+    { timestamps: true, versionKey: false, collection: 'campaign_budgets' }
+);
+
+module.exports = mongoose.model('CampaignBudget', CampaignBudgetSchema);
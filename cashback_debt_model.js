@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Dívida de cashback de um CPF: valor já utilizado pelo cliente que precisou ser estornado (cancelamento ou devolução)
+ * e não pôde ser retirado do saldo. Os próximos créditos liberados para o CPF pagam primeiro as dívidas em aberto.
+ */
+const CashbackDebtSchema = new mongoose.Schema(
+    {
+        cpf: { type: String, required: true, index: true },
+        sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+        reason: { type: String, required: true },
+        originalValue: { type: Number, required: true },
+        remainingValue: { type: Number, required: true },
+        status: { type: String, enum: ['OPEN', 'PAID'], default: 'OPEN', index: true },
+        payments: [
+            {
+                _id: false,
+                sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+                value: { type: Number },
+                date: { type: Date }
+            }
+        ]
+    },
+    { timestamps: true, collection: 'cashback_debts' }
+);
+
+CashbackDebtSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('CashbackDebt', CashbackDebtSchema);
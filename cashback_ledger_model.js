@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Razão (ledger) de cashback: cada movimentação do saldo de um CPF é um lançamento imutável.
+ * O valor é sempre em centavos e com sinal: créditos e estornos de uso somam, usos, expirações, estornos de crédito e pagamentos de dívida subtraem.
+ * O campo sale aponta para a venda que gerou o cashback movimentado e reference para a venda/nota que causou a movimentação.
+ */
+const CashbackLedgerSchema = new mongoose.Schema(
+    {
+        cpf: { type: String, required: true, index: true },
+        type: {
+            type: String,
+            enum: ['CREDIT', 'DEBIT', 'REVERSAL', 'EXPIRATION', 'ADJUSTMENT', 'DEBT_SETTLEMENT'],
+            required: true
+        },
+        value: { type: Number, required: true },
+        sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', index: true },
+        campaign: { type: String },
+        reference: {
+            sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+            invoiceKey: { type: String }
+        },
+        description: { type: String },
+        createdBy: { type: String },
+        date: { type: Date, default: Date.now, index: true }
+    },
+    { timestamps: { createdAt: true, updatedAt: false }, versionKey: false, collection: 'cashback_ledger' }
+);
+
+// Uma venda só pode ser creditada e expirada uma vez por campanha aplicada; isso deixa os jobs de liberação e expiração idempotentes.
+CashbackLedgerSchema.index(
+    { sale: 1, type: 1, campaign: 1 },
+    { unique: true, partialFilterExpression: { type: { $in: ['CREDIT', 'EXPIRATION'] } } }
+);
+
+CashbackLedgerSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('LEDGER_ENTRY_IMMUTABLE'));
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+    'remove'
+].forEach((operation) => {
+    CashbackLedgerSchema.pre(operation, function (next) {
+        next(new Error('LEDGER_ENTRY_IMMUTABLE'));
+    });
+});
+
+CashbackLedgerSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('CashbackLedger', CashbackLedgerSchema);
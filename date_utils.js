@@ -0,0 +1,184 @@
+const formatInTimeZone = require('date-fns-tz/formatInTimeZone');
+const zonedTimeToUtc = require('date-fns-tz/zonedTimeToUtc');
+const getTimezoneOffset = require('date-fns-tz/getTimezoneOffset');
+
+/**
+ * Fuso horário usado nas regras de negócio com datas (dias de crédito e expiração, períodos de relatório, mês do limite de cashback).
+ * As datas continuam sendo gravadas como instantes em UTC; o fuso só define onde começa e termina cada dia.
+ */
+const TIME_ZONE = process.env.CASHBACK_TIME_ZONE || 'America/Sao_Paulo';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Calendário de feriados usado na contagem de dias úteis, configurado em CASHBACK_HOLIDAYS como JSON:
+ * { "national": ["2023-04-21", "12-25"], "states": { "SP": ["07-09"] }, "subsidiaries": { "0101": "SP" } }
+ * Datas 'yyyy-MM-dd' valem só naquele ano; datas 'MM-dd' se repetem todo ano. subsidiaries informa o estado de cada filial (order.origin da venda).
+ * Um valor que não seja um JSON válido é ignorado (sem feriados), para não derrubar o serviço ao carregar o módulo.
+ */
+const HOLIDAYS = parseHolidays(process.env.CASHBACK_HOLIDAYS);
+
+function parseHolidays(value) {
+    try {
+        return JSON.parse(value || '{}') || {};
+    } catch (error) {
+        console.error(`CASHBACK_HOLIDAYS inválido, os feriados serão ignorados: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * A função toDate converte o valor recebido (Date, número ou string ISO) em Date.
+ * Uma string só com a data ('yyyy-MM-dd') é lida como o meio-dia desse dia no fuso informado, para não cair no dia anterior.
+ */
+function toDate(value, timeZone = TIME_ZONE) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (typeof value === 'string' && DATE_ONLY.test(value)) return zonedTimeToUtc(`${value}T12:00:00.000`, timeZone);
+
+    return new Date(value);
+}
+
+/**
+ * A função format formata a data com o padrão do date-fns no fuso informado, independente do TZ do servidor.
+ */
+function format(date, pattern, timeZone = TIME_ZONE) {
+    return formatInTimeZone(toDate(date, timeZone), timeZone, pattern);
+}
+
+/**
+ * A função getDateKey retorna o dia da data no fuso informado, no formato 'yyyy-MM-dd'.
+ */
+function getDateKey(date, timeZone = TIME_ZONE) {
+    return format(date, 'yyyy-MM-dd', timeZone);
+}
+
+/**
+ * A função getMonthKey retorna o mês da data no fuso informado, no formato 'yyyy-MM'.
+ */
+function getMonthKey(date, timeZone = TIME_ZONE) {
+    return format(date, 'yyyy-MM', timeZone);
+}
+
+/**
+ * A função startOfDay retorna o instante (UTC) em que começa, no fuso informado, o dia da data recebida.
+ * Em fusos com horário de verão a meia-noite pode não existir (o relógio pula de 23:59 para 01:00) ou se repetir; por isso a meia-noite é
+ * calculada com o deslocamento da véspera e com o do dia seguinte, e vale o primeiro instante que já cai no dia.
+ */
+function startOfDay(date, timeZone = TIME_ZONE) {
+    const key = getDateKey(date, timeZone);
+    const midnight = new Date(`${key}T00:00:00.000Z`).getTime();
+
+    const starts = [midnight - DAY_MS, midnight + DAY_MS]
+        .map((reference) => midnight - getTimezoneOffset(timeZone, new Date(reference)))
+        .filter((start) => getDateKey(new Date(start), timeZone) === key);
+
+    return starts.length > 0 ? new Date(Math.min(...starts)) : zonedTimeToUtc(`${key}T00:00:00.000`, timeZone);
+}
+
+/**
+ * A função endOfDay retorna o último milissegundo, no fuso informado, do dia da data recebida: o instante anterior ao início do dia seguinte.
+ * Um dia tem entre 23 e 25 horas, então 36 horas depois do início do dia sempre caem no dia seguinte.
+ */
+function endOfDay(date, timeZone = TIME_ZONE) {
+    const nextDay = new Date(startOfDay(date, timeZone).getTime() + 36 * HOUR_MS);
+
+    return new Date(startOfDay(nextDay, timeZone).getTime() - 1);
+}
+
+/**
+ * A função add soma anos, meses e dias de calendário à data, mantendo o mesmo horário de relógio no fuso informado.
+ * Como em date-fns, somar meses a um dia que não existe no mês de destino (ex.: 31/01 + 1 mês) resulta no último dia desse mês.
+ * Valores negativos subtraem.
+ */
+function add(date, { years = 0, months = 0, days = 0 } = {}, timeZone = TIME_ZONE) {
+    const [year, month, day] = getDateKey(date, timeZone).split('-').map(Number);
+    const time = format(date, 'HH:mm:ss.SSS', timeZone);
+
+    const targetMonth = new Date(Date.UTC(year + years, month - 1 + months, 1));
+    const lastDayOfMonth = new Date(
+        Date.UTC(targetMonth.getUTCFullYear(), targetMonth.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+
+    targetMonth.setUTCDate(Math.min(day, lastDayOfMonth) + days);
+
+    return zonedTimeToUtc(`${targetMonth.toISOString().slice(0, 10)}T${time}`, timeZone);
+}
+
+/**
+ * A função getHolidays retorna os feriados nacionais somados aos feriados do estado informado (sigla, ex.: 'SP').
+ */
+function getHolidays(state) {
+    return [...(HOLIDAYS.national || []), ...((state && HOLIDAYS.states && HOLIDAYS.states[state]) || [])];
+}
+
+/**
+ * A função getSubsidiaryState retorna o estado da filial informada (order.origin da venda) segundo CASHBACK_HOLIDAYS, ou undefined se ele não estiver configurado.
+ */
+function getSubsidiaryState(subsidiary) {
+    return (HOLIDAYS.subsidiaries && HOLIDAYS.subsidiaries[subsidiary]) || undefined;
+}
+
+/**
+ * A função isBusinessDay indica se a data cai em um dia útil no fuso informado: de segunda a sexta e fora da lista de feriados.
+ */
+function isBusinessDay(date, holidays = [], timeZone = TIME_ZONE) {
+    const weekday = Number(format(date, 'i', timeZone));
+    if (weekday > 5) return false;
+
+    const key = getDateKey(date, timeZone);
+
+    return !holidays.includes(key) && !holidays.includes(key.slice(5));
+}
+
+/**
+ * A função addBusinessDays soma dias úteis à data, pulando fins de semana e feriados e mantendo o horário de relógio no fuso informado.
+ */
+function addBusinessDays(date, days, holidays = [], timeZone = TIME_ZONE) {
+    let result = toDate(date, timeZone);
+    let remaining = days || 0;
+
+    while (remaining > 0) {
+        result = add(result, { days: 1 }, timeZone);
+        if (isBusinessDay(result, holidays, timeZone)) remaining -= 1;
+    }
+
+    return result;
+}
+
+/**
+ * A função nextBusinessDay retorna a própria data, se ela cair em dia útil, ou o próximo dia útil, mantendo o horário de relógio.
+ */
+function nextBusinessDay(date, holidays = [], timeZone = TIME_ZONE) {
+    let result = toDate(date, timeZone);
+
+    while (!isBusinessDay(result, holidays, timeZone)) result = add(result, { days: 1 }, timeZone);
+
+    return result;
+}
+
+/**
+ * A função formatISO formata a data em ISO 8601 com o deslocamento do fuso informado (ex.: 2023-05-10T00:00:00-03:00).
+ */
+function formatISO(date, timeZone = TIME_ZONE) {
+    return format(date, "yyyy-MM-dd'T'HH:mm:ssxxx", timeZone);
+}
+
+module.exports = {
+    TIME_ZONE,
+    toDate,
+    format,
+    getDateKey,
+    getMonthKey,
+    startOfDay,
+    endOfDay,
+    add,
+    getHolidays,
+    getSubsidiaryState,
+    isBusinessDay,
+    addBusinessDays,
+    nextBusinessDay,
+    formatISO
+};
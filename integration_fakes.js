@@ -0,0 +1,174 @@
+const _ = require('lodash');
+
+/**
+ * Integrações em memória usadas no modo sandbox (CASHBACK_SANDBOX) e para rodar o SaleService sem serviços externos.
+ * Todas registram as chamadas recebidas em calls ({ method, args, date }) e podem simular falhas com fail.
+ */
+class FakeIntegration {
+    constructor() {
+        this.calls = [];
+        this._failures = {};
+    }
+
+    /**
+     * A função fail faz as próximas times chamadas do método lançarem o erro informado.
+     * O erro padrão simula uma integração fora do ar (status 503), que o serviço trata como erro temporário.
+     */
+    fail(method, error, times = 1) {
+        this._failures[method] = {
+            error: error || Object.assign(new Error('FAKE_INTEGRATION_UNAVAILABLE'), { response: { status: 503 } }),
+            times
+        };
+        return this;
+    }
+
+    /**
+     * A função getCalls retorna as chamadas registradas, todas ou só as do método informado.
+     */
+    getCalls(method) {
+        return method ? this.calls.filter((call) => call.method === method) : this.calls;
+    }
+
+    /**
+     * A função reset apaga as chamadas registradas e as falhas programadas.
+     */
+    reset() {
+        this.calls = [];
+        this._failures = {};
+        return this;
+    }
+
+    async _call(method, args, result) {
+        this.calls.push({ method, args: _.cloneDeep(args), date: new Date() });
+
+        const failure = this._failures[method];
+        if (failure && failure.times > 0) {
+            failure.times -= 1;
+            throw failure.error;
+        }
+
+        return typeof result === 'function' ? result() : result;
+    }
+}
+
+/**
+ * Campanhas em memória. getCampaigns aplica os mesmos filtros usados pelo serviço: status, betweenDate (startDate <= data <= endDate),
+ * page e limit.
+ */
+class FakeCampaignIntegration extends FakeIntegration {
+    constructor(campaigns = []) {
+        super();
+        this.campaigns = campaigns;
+    }
+
+    async getCampaigns(params = {}) {
+        return await this._call('getCampaigns', [params], () => {
+            const { status, betweenDate, page = 1, limit } = params;
+            const date = betweenDate && new Date(betweenDate);
+
+            const campaigns = this.campaigns.filter(
+                (campaign) =>
+                    (!status || campaign.status === status) &&
+                    (!date || (new Date(campaign.startDate) <= date && date <= new Date(campaign.endDate)))
+            );
+
+            return _.cloneDeep(limit ? campaigns.slice((page - 1) * limit, page * limit) : campaigns);
+        });
+    }
+}
+
+/**
+ * Usuários do MyCash em memória, encontrados pelo cpf. bannedCpfs é a lista de CPFs bloqueados de isUserInBannedList.
+ */
+class FakeMyCashIntegration extends FakeIntegration {
+    constructor(users = [], bannedCpfs = []) {
+        super();
+        this.users = users;
+        this.bannedCpfs = bannedCpfs;
+    }
+
+    async getUserByCpf(cpf, authorizationToken) {
+        return await this._call('getUserByCpf', [cpf, authorizationToken], () =>
+            _.cloneDeep(this.users.find((user) => user.cpf === cpf) || null)
+        );
+    }
+
+    async getAllUsers(authorizationToken) {
+        return await this._call('getAllUsers', [authorizationToken], () => _.cloneDeep(this.users));
+    }
+
+    async isUserInBannedList(cpf) {
+        return await this._call('isUserInBannedList', [cpf], () => ({ exist: this.bannedCpfs.includes(cpf) }));
+    }
+}
+
+/**
+ * Envio de e-mails em memória: os e-mails "enviados" ficam em emails ({ template, data }).
+ */
+class FakeNotificationsIntegration extends FakeIntegration {
+    constructor() {
+        super();
+        this.emails = [];
+    }
+
+    async sendEmail(template, data) {
+        return await this._call('sendEmail', [template, data], () => {
+            this.emails.push({ template, data });
+            return { success: true };
+        });
+    }
+}
+
+/**
+ * Cadastro de usuários da Dito em memória, indexado pelo CPF.
+ */
+class FakeDitoUsersIntegration extends FakeIntegration {
+    constructor(users = {}) {
+        super();
+        this.users = users;
+    }
+
+    async getUser(cpf) {
+        return await this._call('getUser', [cpf], () => _.cloneDeep(this.users[cpf] || null));
+    }
+
+    async createUser(cpf, data) {
+        return await this._call('createUser', [cpf, data], () => {
+            this.users[cpf] = { ...data };
+            return _.cloneDeep(this.users[cpf]);
+        });
+    }
+
+    async updateUser(cpf, data) {
+        return await this._call('updateUser', [cpf, data], () => {
+            this.users[cpf] = { ...this.users[cpf], ...data };
+            return _.cloneDeep(this.users[cpf]);
+        });
+    }
+}
+
+/**
+ * Eventos da Dito em memória: os eventos criados ficam em events ({ cpf, action, data }).
+ */
+class FakeDitoEventsIntegration extends FakeIntegration {
+    constructor() {
+        super();
+        this.events = [];
+    }
+
+    async createEvent(cpf, action, data) {
+        return await this._call('createEvent', [cpf, action, data], () => {
+            this.events.push({ cpf, action, data });
+            return { success: true };
+        });
+    }
+}
+
+module.exports = {
+    FakeIntegration,
+    FakeCampaignIntegration,
+    FakeMyCashIntegration,
+    FakeNotificationsIntegration,
+    FakeDitoUsersIntegration,
+    FakeDitoEventsIntegration
+};
@@ -0,0 +1,81 @@
+const path = require('path');
+const {
+    FakeCampaignIntegration,
+    FakeMyCashIntegration,
+    FakeNotificationsIntegration,
+    FakeDitoUsersIntegration,
+    FakeDitoEventsIntegration
+} = require('./integration_fakes');
+
+/**
+ * Modo sandbox (CASHBACK_SANDBOX=true): o SaleService usa as integrações em memória de integration_fakes no lugar dos serviços externos.
+ * As campanhas e os usuários do sandbox podem ser carregados de um arquivo JSON informado em CASHBACK_SANDBOX_FIXTURES:
+ * { "campaigns": [...], "users": [...], "bannedCpfs": [...] }
+ */
+const SANDBOX = process.env.CASHBACK_SANDBOX === 'true';
+
+/**
+ * Adaptadores de cada integração usada pelo SaleService, pelo nome da propriedade recebida no construtor.
+ * real cria a integração de verdade (o módulo só é carregado quando usado) e fake cria a versão em memória a partir das fixtures.
+ */
+const ADAPTERS = {
+    campaignIntegration: {
+        real: () => new (require('../../../../providers/campaigns/campaigns_integration'))(),
+        fake: (fixtures) => new FakeCampaignIntegration(fixtures.campaigns)
+    },
+    myCashIntegration: {
+        real: () => new (require('../../../../providers/mycash/mycash_integrations'))(),
+        fake: (fixtures) => new FakeMyCashIntegration(fixtures.users, fixtures.bannedCpfs)
+    },
+    notificationsIntegration: {
+        real: () => new (require('../../../../providers/notifications/notifications_integration'))(),
+        fake: () => new FakeNotificationsIntegration()
+    },
+    ditoEventsIntegration: {
+        real: () => new (require('../../../../providers/dito/dito_events_integration'))(),
+        fake: () => new FakeDitoEventsIntegration()
+    },
+    ditoUsersIntegration: {
+        real: () => new (require('../../../../providers/dito/dito_users_integration'))(),
+        fake: () => new FakeDitoUsersIntegration()
+    }
+};
+
+/**
+ * A função registerIntegration registra (ou substitui) o adaptador de uma integração, com as funções real e fake que criam a instância.
+ */
+function registerIntegration(name, { real, fake }) {
+    if (typeof real !== 'function' || typeof fake !== 'function') throw new Error('INVALID_INTEGRATION_ADAPTER');
+
+    ADAPTERS[name] = { real, fake };
+}
+
+/**
+ * A função getSandboxFixtures retorna as fixtures recebidas ou, sem elas, as do arquivo de CASHBACK_SANDBOX_FIXTURES.
+ * As listas que faltarem ficam vazias.
+ */
+function getSandboxFixtures(fixtures) {
+    const file = process.env.CASHBACK_SANDBOX_FIXTURES;
+
+    return { campaigns: [], users: [], bannedCpfs: [], ...(fixtures || (file ? require(path.resolve(file)) : {})) };
+}
+
+/**
+ * A função createIntegrations retorna as integrações usadas pelo SaleService.
+ * As instâncias recebidas em integrations são usadas como estão; as que faltarem são criadas pelo adaptador registrado,
+ * em memória quando sandbox for true (padrão: CASHBACK_SANDBOX) e de verdade nos demais casos.
+ */
+function createIntegrations(integrations = {}, { sandbox = SANDBOX, fixtures } = {}) {
+    const sandboxFixtures = sandbox ? getSandboxFixtures(fixtures) : null;
+
+    return Object.keys(ADAPTERS).reduce((result, name) => {
+        result[name] = integrations[name] || (sandbox ? ADAPTERS[name].fake(sandboxFixtures) : ADAPTERS[name].real());
+        return result;
+    }, {});
+}
+
+module.exports = {
+    SANDBOX,
+    registerIntegration,
+    createIntegrations
+};
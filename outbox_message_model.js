@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Outbox das integrações externas (e-mails e Dito). As mensagens são gravadas na mesma transação da alteração da venda
+ * e entregues depois por dispatchOutbox, com novas tentativas e backoff.
+ * type: EMAIL (payload: { template, data }), DITO_EVENT (payload: { customer, action, data }) ou DITO_USER (payload: { customer, data }).
+ * status: PENDING (aguardando entrega ou nova tentativa), PROCESSING, SENT, SKIPPED (cliente sem cadastro no MyCash/Dito)
+ * ou FAILED (esgotou as tentativas e só volta com retryOutboxMessages).
+ */
+const OutboxMessageSchema = new mongoose.Schema(
+    {
+        type: { type: String, enum: ['EMAIL', 'DITO_EVENT', 'DITO_USER'], required: true },
+        cpf: { type: String, required: true, index: true },
+        payload: { type: mongoose.Schema.Types.Mixed, required: true },
+        reference: {
+            sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' }
+        },
+        status: {
+            type: String,
+            enum: ['PENDING', 'PROCESSING', 'SENT', 'SKIPPED', 'FAILED'],
+            default: 'PENDING'
+        },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        lockedAt: { type: Date },
+        lastError: { type: String },
+        sentAt: { type: Date }
+    },
+    { timestamps: true, versionKey: false, collection: 'outbox_messages' }
+);
+
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+OutboxMessageSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('OutboxMessage', OutboxMessageSchema);
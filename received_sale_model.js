@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Vendas recebidas do PDV e do e-commerce, guardadas como chegaram (data) antes de gerar o cashback.
+ * idempotencyKey é a chave da nota (ou pedido + origem) e é única: reenviar a mesma venda devolve o registro existente.
+ * status segue RECEIVED_SALE_TRANSITIONS em sale_service: RECEIVED, PROCESSING, PROCESSED, REJECTED, FAILED_RETRYABLE ou DEAD_LETTER.
+ * Registros antigos não têm status, só processed; por isso status e processed não têm valor padrão.
+ * lockedAt é a reserva do processamento em PROCESSING, attempts conta as reservas e nextAttemptAt agenda a próxima tentativa.
+ */
+const ReceivedSaleSchema = new mongoose.Schema(
+    {
+        idempotencyKey: { type: String },
+        invoiceKey: { type: String, index: true },
+        cpf: { type: String, index: true },
+        data: { type: mongoose.Schema.Types.Mixed, required: true },
+        status: {
+            type: String,
+            enum: ['RECEIVED', 'PROCESSING', 'PROCESSED', 'REJECTED', 'FAILED_RETRYABLE', 'DEAD_LETTER']
+        },
+        processed: { type: Boolean },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date },
+        lockedAt: { type: Date },
+        lastError: {
+            message: { type: String },
+            retryable: { type: Boolean },
+            date: { type: Date }
+        },
+        reason: { type: mongoose.Schema.Types.Mixed },
+        sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+        requeuedAt: { type: Date }
+    },
+    { timestamps: true, versionKey: false, collection: 'receivedsales' }
+);
+
+// A chave duplicada (erro 11000) é o que _receiveSale usa para devolver o registro de uma venda reenviada ao mesmo tempo.
+ReceivedSaleSchema.index(
+    { idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+ReceivedSaleSchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+
+ReceivedSaleSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('ReceivedSale', ReceivedSaleSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Exportações assíncronas do relatório de vendas, geradas pelo job processReportExports.
+ * O arquivo gerado fica no GridFS (bucket report_exports) e é referenciado por file; processed/total mostram o progresso da geração.
+ * lockedAt é a reserva da exportação em PROCESSING (renovada durante a geração) e attempts conta as reservas.
+ */
+const ReportExportSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: ['PENDING', 'PROCESSING', 'DONE', 'FAILED'],
+            default: 'PENDING',
+            index: true
+        },
+        format: { type: String, enum: ['XLSX', 'CSV'], default: 'XLSX' },
+        filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        file: { type: mongoose.Schema.Types.ObjectId },
+        fileName: { type: String },
+        error: { type: String },
+        attempts: { type: Number, default: 0 },
+        lockedAt: { type: Date },
+        createdBy: { type: String },
+        startedAt: { type: Date },
+        finishedAt: { type: Date }
+    },
+    { timestamps: true, versionKey: false, collection: 'report_exports' }
+);
+
+ReportExportSchema.index({ status: 1, createdAt: 1 });
+
+ReportExportSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('ReportExport', ReportExportSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+/**
+ * Parte do cashback de um item que coube a cada campanha aplicada na venda.
+ */
+const CampaignCashbackSchema = new mongoose.Schema(
+    {
+        campaign: { type: String },
+        unitCashback: { type: Number },
+        totalCashback: { type: Number }
+    },
+    { _id: false }
+);
+
+const SaleItemSchema = new mongoose.Schema(
+    {
+        partnumber: { type: String },
+        description: { type: String },
+        model: { type: String },
+        colorCode: { type: String },
+        size: { type: String },
+        unitPrice: { type: Number },
+        quantity: { type: Number },
+        totalPrice: { type: Number },
+        returnedQuantity: { type: Number },
+        eligible: { type: Boolean },
+        unitCashback: { type: Number },
+        totalCashback: { type: Number },
+        matchedCampaigns: [{ type: String }],
+        matchedRules: [{ _id: false, campaign: { type: String }, rule: { type: mongoose.Schema.Types.Mixed } }],
+        campaignsCashback: [CampaignCashbackSchema]
+    },
+    { _id: false }
+);
+
+/**
+ * Campanha aplicada na venda, com o cashback que ela gerou. budgetCapped marca a campanha que foi limitada pelo orçamento na reserva.
+ */
+const AppliedCampaignSchema = new mongoose.Schema(
+    {
+        code: { type: String },
+        totalCashback: { type: Number },
+        budgetCapped: { type: Boolean },
+        creditDate: { type: Date },
+        expirateDate: { type: Date },
+        appliedTier: { type: mongoose.Schema.Types.Mixed },
+        campaignData: { type: mongoose.Schema.Types.Mixed }
+    },
+    { _id: false }
+);
+
+/**
+ * Vendas que geraram cashback (PENDING até a creditDate, AVAILABLE até a expirateDate, depois EXPIRED ou um dos status de cancelamento)
+ * e vendas em que o cliente utilizou cashback (USED).
+ * customer, order, invoice e paymentMethod são guardados como vieram na venda recebida (receivedSale).
+ * history registra de quais vendas saiu o cashback utilizado e cashbackUseHistory, nas vendas de origem, em quais vendas ele foi usado.
+ * campaignSnapshots guarda as regras das campanhas aplicadas como estavam na geração; budgetReservations, o orçamento reservado por campanha.
+ */
+const SaleSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: ['PENDING', 'AVAILABLE', 'EXPIRED', 'USED', 'CANCELED', 'CLAWED_BACK', 'CANCELED_WITH_DEBT']
+        },
+        invoiceKey: { type: String },
+        cpf: { type: String, required: true, index: true },
+        email: { type: String },
+        saleDate: { type: Date },
+        salesChannel: { type: String },
+        customer: { type: mongoose.Schema.Types.Mixed },
+        order: { type: mongoose.Schema.Types.Mixed },
+        invoice: { type: mongoose.Schema.Types.Mixed },
+        paymentMethod: { type: mongoose.Schema.Types.Mixed },
+        items: [SaleItemSchema],
+        matchedCampaigns: [{ type: String }],
+        usedCampaign: { type: String },
+        appliedCampaigns: [AppliedCampaignSchema],
+        campaignSnapshots: [
+            {
+                _id: false,
+                code: { type: String },
+                version: { type: mongoose.Schema.Types.Mixed },
+                hash: { type: String },
+                capturedAt: { type: Date },
+                campaign: { type: mongoose.Schema.Types.Mixed }
+            }
+        ],
+        invalidCampaigns: [{ type: mongoose.Schema.Types.Mixed }],
+        saleWithOtherCampaigns: [
+            {
+                _id: false,
+                usedCampaign: { type: String },
+                creditDate: { type: Date },
+                expirateDate: { type: Date },
+                totalCashback: { type: Number }
+            }
+        ],
+        budgetReservations: [
+            {
+                _id: false,
+                key: { type: String },
+                campaign: { type: String },
+                value: { type: Number }
+            }
+        ],
+        totalCashback: { type: Number },
+        availableCashback: { type: Number },
+        expiredCashback: { type: Number },
+        creditDate: { type: Date },
+        expirateDate: { type: Date },
+        releasedAt: { type: Date },
+        expiredAt: { type: Date },
+        expirationReminders: [{ type: Number }],
+        usedCashback: { type: Boolean },
+        usedCashbackValue: { type: Number },
+        history: [
+            {
+                _id: false,
+                usedValue: { type: Number },
+                from: { type: String },
+                saleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+                strategy: { type: String },
+                date: { type: Date }
+            }
+        ],
+        cashbackUseHistory: [
+            {
+                _id: false,
+                usedValue: { type: Number },
+                invoiceKey: { type: String },
+                saleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+                date: { type: Date }
+            }
+        ],
+        returns: [
+            {
+                _id: false,
+                items: [{ _id: false, partnumber: { type: String }, quantity: { type: Number } }],
+                previousCashback: { type: Number },
+                totalCashback: { type: Number },
+                returnedCashback: { type: Number },
+                clawedBack: { type: Number },
+                unrecoveredCashback: { type: Number },
+                date: { type: Date }
+            }
+        ],
+        clawback: {
+            remaining: { type: Number },
+            spent: { type: Number },
+            recoveredFromBalance: { type: Number },
+            debt: { type: Number },
+            date: { type: Date }
+        },
+        receivedSale: { type: mongoose.Schema.Types.ObjectId, ref: 'ReceivedSale', index: true },
+        userInMycash: { type: Boolean },
+        integrated: { type: Boolean }
+    },
+    { timestamps: true, versionKey: false, collection: 'sales' }
+);
+
+// Uma nota gera uma única venda: com o índice, duas gravações simultâneas da mesma nota não passam (erro 11000).
+SaleSchema.index({ invoiceKey: 1 }, { unique: true, partialFilterExpression: { invoiceKey: { $type: 'string' } } });
+SaleSchema.index({ status: 1, creditDate: 1 });
+SaleSchema.index({ status: 1, expirateDate: 1 });
+SaleSchema.index({ cpf: 1, status: 1 });
+SaleSchema.index({ saleDate: 1 });
+
+SaleSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Sale', SaleSchema);
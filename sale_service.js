@@ -1,42 +1,246 @@
 const SaleModel = require('./sale_model');
 const ReceivedSaleModel = require('./received_sale_model');
+const CashbackLedgerModel = require('./cashback_ledger_model');
+const CashbackDebtModel = require('./cashback_debt_model');
+const CampaignBudgetModel = require('./campaign_budget_model');
+const ReportExportModel = require('./report_export_model');
+const OutboxMessageModel = require('./outbox_message_model');
 const BaseService = require('../../base/base_service');
-const CampaignIntegration = require('../../../../providers/campaigns/campaigns_integration');
-const MyCashIntegration = require('../../../../providers/mycash/mycash_integrations');
-const NotificationsIntegration = require('../../../../providers/notifications/notifications_integration');
-const DitoEventsIntegration = require('../../../../providers/dito/dito_events_integration');
-const DitoUsersIntegration = require('../../../../providers/dito/dito_users_integration');
+const integrationRegistry = require('./integration_registry');
 const _ = require('lodash');
 const sub = require('date-fns/sub');
-const add = require('date-fns/add');
-const startOfDay = require('date-fns/startOfDay');
-const endOfDay = require('date-fns/endOfDay');
-const parseISO = require('date-fns/parseISO');
-const formatISO = require('date-fns/formatISO');
 const isBefore = require('date-fns/isBefore');
+const dateUtils = require('./date_utils');
 
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+const { Readable, PassThrough, pipeline } = require('stream');
+const { once } = require('events');
+const { promisify } = require('util');
+const crypto = require('crypto');
 
 const mongoose = require('mongoose');
 
+/**
+ * Transições permitidas no ciclo de vida de uma venda recebida (ReceivedSale).
+ * FAILED_RETRYABLE volta para PROCESSING na próxima tentativa; depois do número máximo de tentativas a venda vai para DEAD_LETTER.
+ * PROCESSING só volta para PROCESSING quando a reserva do processamento (lockedAt) venceu, por exemplo depois de uma queda do processo.
+ * REJECTED e DEAD_LETTER só saem do lugar quando são reenfileiradas manualmente (requeueReceivedSales).
+ */
+const RECEIVED_SALE_TRANSITIONS = {
+    RECEIVED: ['PROCESSING'],
+    PROCESSING: ['PROCESSING', 'PROCESSED', 'REJECTED', 'FAILED_RETRYABLE', 'DEAD_LETTER'],
+    FAILED_RETRYABLE: ['PROCESSING'],
+    PROCESSED: [],
+    REJECTED: ['RECEIVED'],
+    DEAD_LETTER: ['RECEIVED']
+};
+
+const RECEIVED_SALE_FINAL_STATUSES = ['PROCESSED', 'REJECTED', 'DEAD_LETTER'];
+
+/**
+ * Status finais de uma venda que gerou cashback e foi cancelada (com ou sem estorno do cashback já utilizado).
+ */
+const CANCELED_SALE_STATUSES = ['CANCELED', 'CLAWED_BACK', 'CANCELED_WITH_DEBT'];
+
+/**
+ * Colunas do relatório de vendas (uma linha por item vendido), na ordem em que aparecem no XLSX e no CSV.
+ */
+const SALES_REPORT_COLUMNS = [
+    'order',
+    'totalPrice',
+    'partnumber',
+    'productValue',
+    'productCashBack',
+    'productQuantity',
+    'productTotalValue',
+    'productTotalCashBack',
+    'productName',
+    'status',
+    'usedCampaign',
+    'totalCashback',
+    'saleDate',
+    'expirateDate'
+];
+
+/**
+ * Descrição de cada tipo de lançamento do ledger no extrato do cliente. REVERSAL depende do sinal:
+ * positivo devolve um uso cancelado e negativo estorna um crédito.
+ */
+const STATEMENT_DESCRIPTIONS = {
+    CREDIT: 'Cashback liberado',
+    DEBIT: 'Cashback utilizado',
+    REVERSAL_IN: 'Estorno de utilização de cashback',
+    REVERSAL_OUT: 'Estorno de cashback',
+    EXPIRATION: 'Cashback expirado',
+    ADJUSTMENT: 'Ajuste de saldo',
+    DEBT_SETTLEMENT: 'Pagamento de dívida de cashback'
+};
+
+const REPORT_CONTENT_TYPES = {
+    XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    CSV: 'text/csv'
+};
+
+/**
+ * Erros de regra de negócio: reprocessar a venda não muda o resultado, então a venda recebida vai para REJECTED.
+ */
+const RECEIVED_SALE_REJECTION_ERRORS = [
+    'SALE_NOT_MATCH_ANY_CAMPAIGN',
+    'USER_FOUND_BANNEDLIST',
+    'CONFLICT_DUPLICATE_INVOICE_KEY_ERROR',
+    'INSUFFICIENT_FUNDS',
+    'INVALID_REDEMPTION_STRATEGY',
+    'CAMPAIGN_BUDGET_EXHAUSTED'
+];
+
 class SaleService extends BaseService {
-    constructor() {
+    /**
+     * As integrações externas podem ser injetadas em integrations (campaignIntegration, myCashIntegration, notificationsIntegration,
+     * ditoEventsIntegration e ditoUsersIntegration); as que não forem informadas são criadas por integration_registry.
+     * Com options.sandbox (ou CASHBACK_SANDBOX=true), todas as integrações não informadas são as versões em memória de integration_fakes,
+     * carregadas com options.fixtures ou com o arquivo de CASHBACK_SANDBOX_FIXTURES.
+     */
+    constructor(integrations = {}, options = {}) {
         super();
+        const {
+            campaignIntegration,
+            myCashIntegration,
+            notificationsIntegration,
+            ditoEventsIntegration,
+            ditoUsersIntegration
+        } = integrationRegistry.createIntegrations(integrations, options);
+
         this._saleModel = SaleModel;
         this._receivedSaleModel = ReceivedSaleModel;
-        this._campaignIntegration = new CampaignIntegration();
-        this._myCashIntegration = new MyCashIntegration();
-        this._notificationsIntegration = new NotificationsIntegration();
-        this._ditoEventsIntegration = new DitoEventsIntegration();
-        this._ditoUsersIntegration = new DitoUsersIntegration();
+        this._cashbackLedgerModel = CashbackLedgerModel;
+        this._cashbackDebtModel = CashbackDebtModel;
+        this._campaignBudgetModel = CampaignBudgetModel;
+        this._reportExportModel = ReportExportModel;
+        this._outboxMessageModel = OutboxMessageModel;
+        this._campaignIntegration = campaignIntegration;
+        this._myCashIntegration = myCashIntegration;
+        this._notificationsIntegration = notificationsIntegration;
+        this._ditoEventsIntegration = ditoEventsIntegration;
+        this._ditoUsersIntegration = ditoUsersIntegration;
+        this._jobPageSize = Number(process.env.CASHBACK_JOB_PAGE_SIZE) || 100;
+        this._receivedSaleMaxAttempts = Number(process.env.RECEIVED_SALE_MAX_ATTEMPTS) || 5;
+        this._receivedSaleRetryBaseMs = Number(process.env.RECEIVED_SALE_RETRY_BASE_MS) || 60 * 1000;
+        this._receivedSaleRetryMaxMs = Number(process.env.RECEIVED_SALE_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+        this._receivedSaleConcurrency = Number(process.env.RECEIVED_SALE_CONCURRENCY) || 5;
+        this._receivedSaleBatchSize = Number(process.env.RECEIVED_SALE_BATCH_SIZE) || 100;
+        this._receivedSaleLockMs = Number(process.env.RECEIVED_SALE_LOCK_MS) || 10 * 60 * 1000;
+        this._redemptionStrategy = process.env.CASHBACK_REDEMPTION_STRATEGY || 'EXPIRATION_FIRST';
+        this._campaignPriority = (process.env.CASHBACK_CAMPAIGN_PRIORITY || '')
+            .split(',')
+            .map((code) => code.trim())
+            .filter(Boolean);
+        this._cpfMonthlyCashbackCap = Number(process.env.CASHBACK_CPF_MONTHLY_CAP) || 0;
+        this._storeTimeZone = process.env.CASHBACK_STORE_TIME_ZONE || dateUtils.TIME_ZONE;
+        this._reportChunkSize = Number(process.env.REPORT_CHUNK_SIZE) || 1000;
+        this._reportExportBatchSize = Number(process.env.REPORT_EXPORT_BATCH_SIZE) || 1;
+        this._reportExportLockMs = Number(process.env.REPORT_EXPORT_LOCK_MS) || 10 * 60 * 1000;
+        this._reportExportMaxAttempts = Number(process.env.REPORT_EXPORT_MAX_ATTEMPTS) || 3;
+        this._expirationReminderDays = (process.env.CASHBACK_EXPIRATION_REMINDER_DAYS || '30,7,1')
+            .split(',')
+            .map(Number)
+            .filter((days) => days > 0)
+            .sort((a, b) => a - b);
+        this._outboxMaxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+        this._outboxBatchSize = Number(process.env.OUTBOX_BATCH_SIZE) || 100;
+        this._outboxRetryBaseMs = Number(process.env.OUTBOX_RETRY_BASE_MS) || 60 * 1000;
+        this._outboxRetryMaxMs = Number(process.env.OUTBOX_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+        this._outboxLockMs = Number(process.env.OUTBOX_LOCK_MS) || 5 * 60 * 1000;
+        this._campaignCacheTtlMs = Number(process.env.CAMPAIGN_CACHE_TTL_MS) || 5 * 60 * 1000;
+        this._campaignPageSize = Number(process.env.CAMPAIGN_PAGE_SIZE) || 50;
+        this._campaignCache = new Map();
     }
 
     /**
-     * A função _findSaleWithBetterCampaign recebe uma lista de vendas como argumento e retorna a venda com o maior cashback total.
-     * Para fazer isso, a função usa a biblioteca lodash para ordenar as vendas pela propriedade totalCashback em ordem crescente (menor para o maior) e então retorna a última venda da lista, que terá o maior cashback total.
+     * A função _findSaleWithBetterCampaign recebe a lista de vendas processadas (uma por campanha válida) e retorna a venda com a melhor combinação de campanhas permitida.
+     * Cada campanha declara em combinability como pode ser combinada:
+     * EXCLUSIVE (padrão): só é aplicada sozinha;
+     * STACKABLE: acumula com todas as outras campanhas STACKABLE;
+     * STACKABLE_WITH_GROUP: acumula apenas com as campanhas do mesmo stackGroup.
+     * Entre as combinações possíveis, vence a de maior cashback total; no empate, a que tiver a campanha de maior prioridade (menor priority) e, depois, a com menos campanhas.
      */
     _findSaleWithBetterCampaign(sales) {
-        return _.sortBy(sales, ['totalCashback']).pop();
+        const combinability = (sale) => sale.campaignData.combinability || 'EXCLUSIVE';
+
+        const combinations = sales.map((sale) => [sale]);
+
+        const stackableSales = sales.filter((sale) => combinability(sale) === 'STACKABLE');
+        if (stackableSales.length > 1) combinations.push(stackableSales);
+
+        _.values(
+            _.groupBy(
+                sales.filter((sale) => combinability(sale) === 'STACKABLE_WITH_GROUP'),
+                (sale) => sale.campaignData.stackGroup
+            )
+        ).forEach((groupSales) => {
+            if (groupSales.length > 1) combinations.push(groupSales);
+        });
+
+        const [bestCombination] = _.orderBy(
+            combinations,
+            [
+                (combination) => _.sumBy(combination, 'totalCashback'),
+                (combination) => _.min(combination.map((sale) => this._getCampaignPriority(sale))),
+                (combination) => combination.length
+            ],
+            ['desc', 'asc', 'asc']
+        );
+
+        return bestCombination && this._combineCampaignSales(bestCombination);
+    }
+
+    _getCampaignPriority(sale) {
+        return _.isNumber(sale.campaignData.priority) ? sale.campaignData.priority : Number.MAX_SAFE_INTEGER;
+    }
+
+    /**
+     * A função _combineCampaignSales junta em uma única venda o resultado de cada campanha de uma combinação.
+     * A campanha de maior prioridade (ou de maior cashback, no empate) é a principal: define usedCampaign, campaignData e as datas de crédito e expiração.
+     * Cada item recebe em campaignsCashback a parte do cashback de cada campanha aplicada, e unitCashback/totalCashback passam a ser a soma dessas partes.
+     * Todas as campanhas aplicadas ficam registradas em appliedCampaigns.
+     */
+    _combineCampaignSales(sales) {
+        const orderedSales = _.orderBy(
+            sales,
+            [(sale) => this._getCampaignPriority(sale), 'totalCashback'],
+            ['asc', 'desc']
+        );
+        const combinedSale = _.cloneDeep(orderedSales[0]);
+
+        combinedSale.items.forEach((item, index) => {
+            const campaignsCashback = orderedSales
+                .filter((sale) => sale.items[index].eligible)
+                .map((sale) => ({
+                    campaign: sale.usedCampaign,
+                    unitCashback: sale.items[index].unitCashback,
+                    totalCashback: sale.items[index].totalCashback
+                }));
+
+            item.campaignsCashback = campaignsCashback;
+
+            if (orderedSales.length > 1 && campaignsCashback.length > 0) {
+                item.eligible = true;
+                item.unitCashback = _.sumBy(campaignsCashback, (c) => c.unitCashback || 0);
+                item.totalCashback = _.sumBy(campaignsCashback, (c) => c.totalCashback || 0);
+            }
+        });
+
+        combinedSale.totalCashback = _.sumBy(orderedSales, 'totalCashback');
+        combinedSale.appliedCampaigns = orderedSales.map((sale) => ({
+            code: sale.usedCampaign,
+            totalCashback: sale.totalCashback,
+            creditDate: sale.creditDate,
+            expirateDate: sale.expirateDate,
+            appliedTier: sale.appliedTier,
+            campaignData: sale.campaignData
+        }));
+
+        return combinedSale;
     }
 
     /**
@@ -47,37 +251,62 @@ class SaleService extends BaseService {
      * Além disso, a função atualiza o status da campanha de marketing com o número de vendas processadas e o valor total das vendas processadas, para fins de acompanhamento e análise do desempenho da campanha.
      * Ao final do processamento da venda, a função retorna um objeto contendo informações atualizadas sobre a venda, incluindo os benefícios aplicados e o status da campanha de marketing atualizado.
      * Essa função é importante porque permite que as vendas sejam tratadas de forma personalizada para cada campanha de marketing, aumentando a satisfação do comprador e melhorando os resultados da empresa.
+     * O crédito começa no início do dia da venda e a expiração vai até o fim do dia, sempre no fuso horário de negócio (date_utils).
+     * Por padrão os dias até o crédito são dias corridos; com campaign.daysCountType = 'BUSINESS' são dias úteis.
+     * Em todas as campanhas a expiração que cair em dia não útil vai para o próximo dia útil.
+     * Dias úteis excluem fins de semana, feriados nacionais e feriados do estado da loja da venda (o estado da filial order.origin em CASHBACK_HOLIDAYS).
      */
     _processSale(campaign, sale) {
         sale.usedCampaign = campaign.code;
-        let total = 0;
 
-        const verificationDate = this._updateHours(
-            new Date().getTimezoneOffset() / 60,
-            startOfDay(this._updateHours(0 - new Date().getTimezoneOffset() / 60, parseISO(sale.verification)))
-        );
+        const verificationDate = dateUtils.startOfDay(sale.verification);
+        const daysToCredit =
+            sale.salesChannel === 'PDV' && campaign.daysToCreditPdv
+                ? campaign.daysToCreditPdv
+                : campaign.daysToCreditEcom;
 
-        if (sale.salesChannel === 'PDV' && campaign.daysToCreditPdv) {
-            sale.creditDate = this._addDays(verificationDate, campaign.daysToCreditPdv);
-        } else {
-            sale.creditDate = this._addDays(verificationDate, campaign.daysToCreditEcom);
-        }
+        const holidays = dateUtils.getHolidays(dateUtils.getSubsidiaryState(sale.order && sale.order.origin));
 
-        sale.expirateDate = this._updateHours(
-            new Date().getTimezoneOffset() / 60,
-            endOfDay(
-                this._updateHours(
-                    0 - new Date().getTimezoneOffset() / 60,
-                    this._addDays(sale.creditDate, campaign.daysToRescue)
-                )
-            )
+        sale.creditDate =
+            campaign.daysCountType === 'BUSINESS'
+                ? dateUtils.addBusinessDays(verificationDate, daysToCredit, holidays)
+                : this._addDays(verificationDate, daysToCredit);
+        sale.expirateDate = dateUtils.endOfDay(
+            dateUtils.nextBusinessDay(this._addDays(sale.creditDate, campaign.daysToRescue), holidays)
         );
 
-        if (campaign.percentCashback) {
+        this._calculateSaleCashback(campaign, sale);
+
+        sale.campaignData = {
+            name: campaign.name,
+            code: campaign.code,
+            status: campaign.status,
+            startDate: campaign.startDate,
+            endDate: campaign.endDate,
+            combinability: campaign.combinability || 'EXCLUSIVE',
+            stackGroup: campaign.stackGroup,
+            priority: campaign.priority
+        };
+        return sale;
+    }
+
+    /**
+     * A função _calculateSaleCashback calcula o cashback dos itens e o cashback total da venda segundo as regras de valor da campanha
+     * (percentCashback ou faixas em cashbackTiers, valueCashback e cashbackLimit), sem mexer nas datas de crédito e expiração.
+     * Nas campanhas com faixas, o percentual da faixa atingida pelo carrinho é aplicado igualmente a todos os itens elegíveis.
+     * Quando o total vem de valueCashback ou é limitado por cashbackLimit, o valor é rateado entre os itens elegíveis por _allocateCashback.
+     * É usada por _processSale no cálculo inicial e por returnItems para recalcular o cashback depois de uma devolução.
+     */
+    _calculateSaleCashback(campaign, sale) {
+        let total = 0;
+
+        const percentCashback = this._getCampaignPercentCashback(campaign, sale);
+
+        if (percentCashback || this._hasCashbackTiers(campaign)) {
             sale.items.forEach((item) => {
                 if (item.matchedCampaigns.includes(campaign.code)) {
                     item.eligible = true;
-                    item.unitCashback = _.floor(item.unitPrice * (campaign.percentCashback / 100));
+                    item.unitCashback = _.floor(item.unitPrice * ((percentCashback || 0) / 100));
                     item.totalCashback = item.unitCashback * item.quantity;
 
                     total += item.totalCashback;
@@ -90,25 +319,104 @@ class SaleService extends BaseService {
 
             sale.totalCashback = total;
         } else {
-            sale.totalCashback = campaign.valueCashback;
+            sale.totalCashback = campaign.valueCashback || 0;
+
+            sale.items.forEach((item) => {
+                item.eligible = item.matchedCampaigns.includes(campaign.code);
+                if (!item.eligible) {
+                    delete item.totalCashback;
+                    delete item.unitCashback;
+                }
+            });
+
+            this._allocateCashback(
+                sale.items.filter((item) => item.eligible),
+                sale.totalCashback
+            );
         }
 
         if (campaign.cashbackLimit && campaign.cashbackLimit < total) {
             sale.totalCashback = campaign.cashbackLimit;
 
-            sale.items.forEach((item) => {
-                delete item.totalCashback;
-                delete item.unitCashback;
-            });
+            this._allocateCashback(
+                sale.items.filter((item) => item.eligible),
+                sale.totalCashback
+            );
         }
-        sale.campaignData = {
-            name: campaign.name,
-            code: campaign.code,
-            status: campaign.status,
-            startDate: campaign.startDate,
-            endDate: campaign.endDate
-        };
-        return sale;
+
+        return sale.totalCashback;
+    }
+
+    /**
+     * A função _allocateCashback distribui um valor de cashback (em centavos) entre os itens elegíveis, proporcionalmente ao valor de cada item (unitPrice * quantity).
+     * É usada quando o cashback da venda não vem da soma dos itens: campanhas de valor fixo (valueCashback) ou quando o cashbackLimit corta o total.
+     * Cada item recebe a parte inteira da sua proporção; os centavos que sobram vão, um a um, para os itens com a maior parte fracionária
+     * e, no empate, para o item que aparece primeiro na venda. Assim a soma do totalCashback dos itens é sempre igual ao valor distribuído.
+     * Se nenhum item tiver valor (brindes, por exemplo), o valor é dividido igualmente entre eles.
+     * O unitCashback é o totalCashback do item dividido pela quantidade, arredondado para baixo, e serve apenas como referência.
+     */
+    _allocateCashback(items, value) {
+        if (items.length < 1) return;
+
+        const itemsWeights = items.map((item) => Math.max(item.unitPrice * item.quantity, 0) || 0);
+        const weights = _.sum(itemsWeights) > 0 ? itemsWeights : items.map(() => 1);
+        const totalWeight = _.sum(weights);
+
+        const shares = weights.map((weight, index) => ({
+            index,
+            value: Math.floor((value * weight) / totalWeight),
+            remainder: (value * weight) % totalWeight
+        }));
+
+        let leftover = value - _.sumBy(shares, 'value');
+
+        _.orderBy(shares, ['remainder', 'index'], ['desc', 'asc']).forEach((share) => {
+            if (leftover > 0) {
+                share.value += 1;
+                leftover -= 1;
+            }
+        });
+
+        shares.forEach((share) => {
+            const item = items[share.index];
+
+            item.totalCashback = share.value;
+            item.unitCashback = item.quantity > 0 ? _.floor(share.value / item.quantity) : 0;
+        });
+    }
+
+    _hasCashbackTiers(campaign) {
+        return _.isArray(campaign.cashbackTiers) && campaign.cashbackTiers.length > 0;
+    }
+
+    /**
+     * A função _getCampaignPercentCashback define o percentual de cashback da campanha para a venda.
+     * Campanhas sem faixas usam o percentCashback fixo. Campanhas com faixas (cashbackTiers = [{ from, percentCashback }]) usam a maior faixa
+     * cujo valor from foi atingido pelo carrinho, medido pela soma do valor dos itens elegíveis (tierBasis = 'VALUE', padrão)
+     * ou pela quantidade de itens elegíveis (tierBasis = 'QUANTITY'). Por exemplo, [{ from: 0, percentCashback: 5 }, { from: 30000, percentCashback: 8 }]
+     * dá 5% até R$300 e 8% a partir de R$300; com tierBasis QUANTITY, [{ from: 3, percentCashback: 15 }] dá 15% a partir de 3 peças.
+     * Se nenhuma faixa for atingida, vale o percentCashback da campanha, se houver. A faixa aplicada fica registrada em sale.appliedTier.
+     */
+    _getCampaignPercentCashback(campaign, sale) {
+        if (!this._hasCashbackTiers(campaign)) return campaign.percentCashback;
+
+        const tierBasis = campaign.tierBasis === 'QUANTITY' ? 'QUANTITY' : 'VALUE';
+        const eligibleItems = sale.items.filter((item) => item.matchedCampaigns.includes(campaign.code));
+        const basisValue =
+            tierBasis === 'QUANTITY'
+                ? _.sumBy(eligibleItems, 'quantity')
+                : _.sumBy(eligibleItems, (item) => item.unitPrice * item.quantity);
+
+        const tier = _.findLast(
+            _.sortBy(campaign.cashbackTiers, 'from'),
+            (cashbackTier) => basisValue >= (cashbackTier.from || 0)
+        );
+
+        sale.appliedTier = tier
+            ? { basis: tierBasis, basisValue, from: tier.from, percentCashback: tier.percentCashback }
+            : null;
+
+        return tier ? tier.percentCashback : campaign.percentCashback;
     }
 
     /**
@@ -178,6 +486,31 @@ class SaleService extends BaseService {
         else return campaign.subsidiariesList.includes(sale.order.origin);
     }
 
+    /**
+     * A função _checkTimeWindowRule verifica se a venda (sale.verification) aconteceu dentro de uma das janelas de horário da campanha (campaign.timeWindows).
+     * Cada janela tem o formato { weekdays, startTime, endTime }: weekdays é a lista de dias da semana (0 = domingo ... 6 = sábado, todos se não for informada)
+     * e startTime/endTime são horários 'HH:mm' (o início é incluído e o fim não; sem horários vale o dia inteiro).
+     * Uma janela com startTime maior que endTime atravessa a meia-noite (ex.: 22:00 às 02:00) e o trecho depois da meia-noite pertence ao dia em que a janela começou.
+     * Os horários são avaliados no fuso horário da loja: campaign.timeZone ou CASHBACK_STORE_TIME_ZONE (America/Sao_Paulo por padrão).
+     * Se a campanha não tiver janelas, a venda é válida.
+     */
+    _checkTimeWindowRule(campaign, sale) {
+        if (!campaign.timeWindows || campaign.timeWindows.length < 1) return true;
+
+        const timeZone = campaign.timeZone || this._storeTimeZone;
+        const saleDate = sale.verification ? new Date(sale.verification) : new Date();
+        const weekday = Number(dateUtils.format(saleDate, 'i', timeZone)) % 7;
+        const time = dateUtils.format(saleDate, 'HH:mm', timeZone);
+
+        return campaign.timeWindows.some(({ weekdays, startTime = '00:00', endTime = '24:00' }) => {
+            const isWeekday = (day) => !weekdays || weekdays.length < 1 || weekdays.map(Number).includes(day);
+
+            if (startTime <= endTime) return isWeekday(weekday) && time >= startTime && time < endTime;
+
+            return (isWeekday(weekday) && time >= startTime) || (isWeekday((weekday + 6) % 7) && time < endTime);
+        });
+    }
+
     /**
      * A função _checkPaymentMethodRule é responsável por verificar se uma determinada venda está de acordo com a regra de método de pagamento definida para uma campanha de marketing específica.
      * Essa função recebe como parâmetros um objeto de campanha e um objeto de venda e verifica se o método de pagamento da venda é permitido pela campanha, comparando-o com a lista de métodos de pagamento permitidos na campanha.
@@ -208,16 +541,53 @@ class SaleService extends BaseService {
     /**
      * A função _checkItemsThatFollowRules é utilizada para verificar se os itens de uma venda seguem as regras estabelecidas por uma campanha de cashback.
      * Essa função recebe como parâmetros um objeto campaign contendo informações sobre a campanha em questão e um objeto sale contendo informações sobre a venda em questão.
-     * A função itera sobre os itens da venda e verifica se cada item segue as regras estabelecidas pela campanha de cashback.
-     * Se o item seguir as regras, a função adiciona uma propriedade followsRules ao objeto item com o valor true.
-     * Se o item não seguir as regras, a função adiciona uma propriedade followsRules ao objeto item com o valor false.
-     * Ao final do processamento dos itens, a função retorna o objeto sale atualizado com as informações sobre os itens que seguem as regras estabelecidas pela campanha de cashback.
-     * Essa função é importante porque permite que a empresa verifique se os itens vendidos atendem aos critérios estabelecidos pela campanha de cashback, evitando fraudes ou abusos por parte dos usuários.
+     * Um item segue as regras da campanha quando atende a pelo menos uma das regras de inclusão (campaign.rules) e a nenhuma das regras de exclusão (campaign.excludeRules).
+     * Cada regra é avaliada por _evaluateItemRule, que aceita tanto o formato antigo (group, category1..4, gender, colorCode, model, size) quanto expressões com and/or/not e operadores.
+     * Para cada item elegível, o código da campanha é adicionado em matchedCampaigns e a regra que o incluiu é registrada em matchedRules (pelo id da regra ou pela sua posição na lista).
+     * A função retorna true se pelo menos um item da venda seguir as regras da campanha.
      */
     _checkItemsThatFollowRules(campaign, sale) {
         let hasOneProductOnRule = false;
 
-        const rules = campaign.rules;
+        const rules = campaign.rules || [];
+        const excludeRules = campaign.excludeRules || [];
+
+        sale.items.forEach((item) => {
+            if (!item.matchedCampaigns) item.matchedCampaigns = [];
+            if (!item.matchedRules) item.matchedRules = [];
+            item.eligible = false;
+
+            const ruleIndex = rules.findIndex((rule) => this._evaluateItemRule(rule, item));
+            if (ruleIndex === -1) return;
+
+            if (excludeRules.some((rule) => this._evaluateItemRule(rule, item))) return;
+
+            item.matchedCampaigns.push(campaign.code);
+            item.matchedRules.push({
+                campaign: campaign.code,
+                rule: rules[ruleIndex].id !== undefined ? rules[ruleIndex].id : ruleIndex
+            });
+
+            hasOneProductOnRule = true;
+        });
+
+        return hasOneProductOnRule;
+    }
+
+    /**
+     * A função _evaluateItemRule avalia uma regra de elegibilidade de campanha para um item da venda. A regra pode ser:
+     * { and: [regras] } ou { or: [regras] }: grupos que podem ser aninhados;
+     * { not: regra }: nega a regra;
+     * { field, operator, value }: compara um campo do item (partnumber, model, category1, unitPrice...) com os operadores
+     * eq, ne, in, notIn, prefix, gt, gte, lt, lte e between (value = [mínimo, máximo]);
+     * regra no formato antigo: o item precisa ter o mesmo valor em todas as chaves preenchidas (group, category1..4, gender, colorCode, model, size).
+     */
+    _evaluateItemRule(rule, item) {
+        if (rule.and) return rule.and.every((subRule) => this._evaluateItemRule(subRule, item));
+        if (rule.or) return rule.or.some((subRule) => this._evaluateItemRule(subRule, item));
+        if (rule.not) return !this._evaluateItemRule(rule.not, item);
+        if (rule.field) return this._evaluateItemCondition(rule, item);
+
         const rulesKeys = [
             'group',
             'category1',
@@ -230,28 +600,37 @@ class SaleService extends BaseService {
             'size'
         ];
 
-        sale.items.forEach((item) => {
-            if (!item.matchedCampaigns) item.matchedCampaigns = [];
-            item.eligible = false;
-
-            rules.forEach((rule) => {
-                let eligible = true;
-
-                rulesKeys.forEach((ruleKey) => {
-                    if (!!rule[ruleKey] && rule[ruleKey] != item[ruleKey]) {
-                        eligible = false;
-                    }
-                });
-
-                if (eligible) {
-                    item.matchedCampaigns.push(campaign.code);
-
-                    hasOneProductOnRule = true;
-                }
-            });
-        });
+        return rulesKeys.every((ruleKey) => !rule[ruleKey] || rule[ruleKey] == item[ruleKey]);
+    }
 
-        return hasOneProductOnRule;
+    _evaluateItemCondition({ field, operator = 'eq', value }, item) {
+        const itemValue = item[field];
+        const toString = (v) => (v === undefined || v === null ? '' : String(v).trim());
+
+        switch (operator) {
+            case 'eq':
+                return toString(itemValue) === toString(value);
+            case 'ne':
+                return toString(itemValue) !== toString(value);
+            case 'in':
+                return value.map(toString).includes(toString(itemValue));
+            case 'notIn':
+                return !value.map(toString).includes(toString(itemValue));
+            case 'prefix':
+                return toString(itemValue).startsWith(toString(value));
+            case 'gt':
+                return Number(itemValue) > Number(value);
+            case 'gte':
+                return Number(itemValue) >= Number(value);
+            case 'lt':
+                return Number(itemValue) < Number(value);
+            case 'lte':
+                return Number(itemValue) <= Number(value);
+            case 'between':
+                return Number(itemValue) >= Number(value[0]) && Number(itemValue) <= Number(value[1]);
+            default:
+                throw new Error('INVALID_CAMPAIGN_RULE_OPERATOR');
+        }
     }
 
     /**
@@ -259,12 +638,17 @@ class SaleService extends BaseService {
      * Essa função recebe como parâmetros um objeto campaign contendo informações sobre a campanha em questão e um objeto user contendo informações sobre o usuário em questão.
      * A função verifica se o número de participações do usuário na campanha já atingiu o limite definido na campanha. Se o limite já tiver sido atingido, a função retorna false, indicando que o usuário não pode participar da campanha.
      * Caso contrário, a função retorna true, indicando que o usuário pode participar da campanha.
+     * Conta como participação toda venda não cancelada em que a campanha foi aplicada, como principal (usedCampaign) ou acumulada (appliedCampaigns).
      * Essa função é importante porque permite que a empresa evite fraudes ou abusos por parte dos usuários, limitando a participação de cada usuário em uma campanha de cashback.
      */
     async _checkCpfParticipationLimit(campaignCode, cpfParticipationLimit, cpf) {
         cpf = cpf.replace(/\D/g, '');
 
-        const participations = await this._saleModel.countDocuments({ cpf, usedCampaign: campaignCode });
+        const participations = await this._saleModel.countDocuments({
+            cpf,
+            status: { $nin: CANCELED_SALE_STATUSES },
+            $or: [{ usedCampaign: campaignCode }, { 'appliedCampaigns.code': campaignCode }]
+        });
 
         console.log(`${campaignCode} participations: ${participations}`);
         if (participations >= cpfParticipationLimit) return false;
@@ -272,6 +656,273 @@ class SaleService extends BaseService {
         return true;
     }
 
+    /**
+     * A função _getCustomerContext busca os dados do cliente usados pelas regras de cliente das campanhas (customerRules):
+     * o usuário do MyCash (null se o CPF não estiver cadastrado) e a última compra do CPF antes desta venda, ignorando vendas canceladas.
+     */
+    async _getCustomerContext(cpf, sale, authorizationToken) {
+        const saleDate = sale.verification ? new Date(sale.verification) : new Date();
+
+        const [user, lastSale] = await Promise.all([
+            this._myCashIntegration.getUserByCpf(cpf, authorizationToken),
+            this._saleModel
+                .findOne({
+                    cpf,
+                    status: { $nin: CANCELED_SALE_STATUSES },
+                    invoiceKey: { $ne: sale.invoice && sale.invoice.key },
+                    saleDate: { $lt: saleDate }
+                })
+                .sort({ saleDate: -1 })
+        ]);
+
+        return { user: user || null, lastSaleDate: lastSale ? lastSale.saleDate : null };
+    }
+
+    /**
+     * A função _checkCustomerRules verifica as regras de cliente declaradas em campaign.customerRules:
+     * firstPurchase: a venda precisa ser a primeira compra do CPF;
+     * noPurchaseInDays: o CPF não pode ter comprado nos últimos N dias antes da venda;
+     * birthdayMonth: a venda precisa ser no mês de aniversário do cliente (dateOfBirthday do MyCash);
+     * gender: o gênero do cliente no MyCash precisa estar na lista (ou ser igual ao valor) informada;
+     * acceptedNewsletter: o aceite da newsletter no MyCash precisa ser igual ao valor informado;
+     * userInMycash: o cadastro do CPF no MyCash precisa ser igual ao valor informado.
+     * Retorna o motivo de falha da primeira regra não atendida ou null se a campanha não tiver regras de cliente ou se todas forem atendidas.
+     */
+    _checkCustomerRules(campaign, sale, customer) {
+        const rules = campaign.customerRules;
+        if (_.isEmpty(rules)) return null;
+
+        const { user, lastSaleDate } = customer || {};
+        const saleDate = sale.verification ? new Date(sale.verification) : new Date();
+
+        if (rules.firstPurchase && lastSaleDate) return 'FAIL_CUSTOMER_FIRST_PURCHASE_RULE';
+
+        if (
+            rules.noPurchaseInDays &&
+            lastSaleDate &&
+            !isBefore(new Date(lastSaleDate), sub(saleDate, { days: rules.noPurchaseInDays }))
+        ) {
+            return 'FAIL_CUSTOMER_NO_PURCHASE_IN_DAYS_RULE';
+        }
+
+        if (
+            rules.birthdayMonth &&
+            !(
+                user &&
+                user.dateOfBirthday &&
+                dateUtils.format(user.dateOfBirthday, 'MM', 'UTC') === dateUtils.format(saleDate, 'MM')
+            )
+        ) {
+            return 'FAIL_CUSTOMER_BIRTHDAY_MONTH_RULE';
+        }
+
+        if (rules.gender && !(user && _.castArray(rules.gender).includes(user.gender)))
+            return 'FAIL_CUSTOMER_GENDER_RULE';
+
+        if (
+            rules.acceptedNewsletter !== undefined &&
+            Boolean(user && user.acceptedNewsletter) !== Boolean(rules.acceptedNewsletter)
+        ) {
+            return 'FAIL_CUSTOMER_NEWSLETTER_RULE';
+        }
+
+        if (rules.userInMycash !== undefined && Boolean(user) !== Boolean(rules.userInMycash)) {
+            return 'FAIL_CUSTOMER_USER_IN_MYCASH_RULE';
+        }
+
+        return null;
+    }
+
+    /**
+     * A função _getCampaignBudgetCounters monta a lista de contadores de orçamento que se aplicam a uma venda em uma campanha.
+     * budgetLimit limita o cashback total concedido pela campanha, cpfBudgetLimit o total de cada CPF na campanha
+     * e CASHBACK_CPF_MONTHLY_CAP o total de cada CPF no mês da venda, somando todas as campanhas.
+     * Cada contador traz o motivo de falha usado em _checkSaleCampaign quando o limite é atingido.
+     */
+    _getCampaignBudgetCounters(campaign, cpf, saleDate) {
+        cpf = cpf.replace(/\D/g, '');
+
+        const counters = [];
+
+        if (campaign.budgetLimit) {
+            counters.push({
+                key: `CAMPAIGN:${campaign.code}`,
+                scope: 'CAMPAIGN',
+                campaign: campaign.code,
+                limit: campaign.budgetLimit,
+                reason: 'FAIL_CAMPAIGN_BUDGET_EXHAUSTED'
+            });
+        }
+
+        if (campaign.cpfBudgetLimit) {
+            counters.push({
+                key: `CPF_CAMPAIGN:${campaign.code}:${cpf}`,
+                scope: 'CPF_CAMPAIGN',
+                campaign: campaign.code,
+                cpf,
+                limit: campaign.cpfBudgetLimit,
+                reason: 'FAIL_CPF_CAMPAIGN_BUDGET_EXHAUSTED'
+            });
+        }
+
+        if (this._cpfMonthlyCashbackCap) {
+            const month = dateUtils.getMonthKey(saleDate || new Date());
+
+            counters.push({
+                key: `CPF_MONTH:${cpf}:${month}`,
+                scope: 'CPF_MONTH',
+                cpf,
+                month,
+                limit: this._cpfMonthlyCashbackCap,
+                reason: 'FAIL_CPF_MONTHLY_CAP'
+            });
+        }
+
+        return counters;
+    }
+
+    /**
+     * A função _checkCampaignBudget verifica se ainda há orçamento para a venda na campanha.
+     * Retorna o motivo de falha do primeiro contador esgotado ou null se todos ainda tiverem saldo.
+     * É só uma verificação prévia: o consumo do orçamento é feito de forma atômica em _reserveCampaignsBudget, na gravação da venda.
+     */
+    async _checkCampaignBudget(campaign, sale, cpf) {
+        const counters = this._getCampaignBudgetCounters(campaign, cpf, sale.verification);
+        if (counters.length < 1) return null;
+
+        const budgets = await this._campaignBudgetModel.find({ key: { $in: counters.map((counter) => counter.key) } });
+
+        const exhausted = counters.find((counter) => {
+            const budget = budgets.find((b) => b.key === counter.key);
+            return budget && budget.consumed >= counter.limit;
+        });
+
+        return exhausted ? exhausted.reason : null;
+    }
+
+    /**
+     * A função _reserveCampaignsBudget consome o orçamento das campanhas aplicadas na venda, dentro da transação que grava a venda.
+     * Para cada campanha, o valor concedido é o menor entre o cashback calculado e o que resta em cada contador da campanha;
+     * se sobrar menos do que o calculado, o cashback da campanha é reduzido (budgetCapped) e redistribuído entre os itens.
+     * O consumo é feito com um update condicional no valor lido (consumed), então duas vendas simultâneas não ultrapassam o limite:
+     * a que perder a disputa falha com CAMPAIGN_BUDGET_CONFLICT e é reprocessada.
+     * Se nenhuma campanha tiver orçamento, a venda é rejeitada com CAMPAIGN_BUDGET_EXHAUSTED.
+     * Retorna as reservas feitas ({ key, campaign, value }), que são guardadas na venda para serem devolvidas no cancelamento ou na devolução.
+     */
+    async _reserveCampaignsBudget(sale, campaigns, session) {
+        const consumedByKey = {};
+        const reservations = [];
+        let capped = false;
+
+        for (const appliedCampaign of sale.appliedCampaigns) {
+            const campaign = campaigns.find((c) => c.code === appliedCampaign.code) || appliedCampaign.campaignData;
+            const counters = this._getCampaignBudgetCounters(campaign, sale.customer.id, sale.verification);
+
+            if (counters.length < 1) continue;
+
+            for (const counter of counters) {
+                if (consumedByKey[counter.key] !== undefined) continue;
+
+                const budget = await this._campaignBudgetModel.findOneAndUpdate(
+                    { key: counter.key },
+                    { $setOnInsert: { ..._.pick(counter, ['scope', 'campaign', 'cpf', 'month']), consumed: 0 } },
+                    { upsert: true, new: true, session }
+                );
+
+                consumedByKey[counter.key] = budget.consumed;
+            }
+
+            const available = _.min(counters.map((counter) => counter.limit - consumedByKey[counter.key]));
+            const granted = Math.max(Math.min(appliedCampaign.totalCashback, available), 0);
+
+            if (granted < appliedCampaign.totalCashback) {
+                appliedCampaign.totalCashback = granted;
+                appliedCampaign.budgetCapped = true;
+                capped = true;
+            }
+
+            if (!granted) continue;
+
+            for (const counter of counters) {
+                const { matchedCount } = await this._campaignBudgetModel.updateOne(
+                    { key: counter.key, consumed: consumedByKey[counter.key] },
+                    { $inc: { consumed: granted } },
+                    { session }
+                );
+
+                if (matchedCount !== 1) throw new Error('CAMPAIGN_BUDGET_CONFLICT');
+
+                consumedByKey[counter.key] += granted;
+                reservations.push({ key: counter.key, campaign: appliedCampaign.code, value: granted });
+            }
+        }
+
+        if (capped) {
+            sale.totalCashback = _.sumBy(sale.appliedCampaigns, 'totalCashback');
+            if (!sale.totalCashback) throw new Error('CAMPAIGN_BUDGET_EXHAUSTED');
+
+            this._allocateAppliedCampaignsCashback(sale);
+        }
+
+        return reservations;
+    }
+
+    /**
+     * A função _allocateAppliedCampaignsCashback redistribui entre os itens o cashback de cada campanha aplicada na venda
+     * depois que o valor das campanhas foi alterado (por exemplo, limitado pelo orçamento).
+     * Com uma campanha, o valor é rateado direto nos itens elegíveis; com mais de uma, cada campanha é rateada nos seus itens
+     * e o cashback do item é a soma de campaignsCashback, como em _combineCampaignSales.
+     */
+    _allocateAppliedCampaignsCashback(sale) {
+        const eligibleItems = sale.items.filter((item) => item.eligible);
+
+        if (sale.appliedCampaigns.length === 1) {
+            this._allocateCashback(eligibleItems, sale.appliedCampaigns[0].totalCashback);
+            return;
+        }
+
+        eligibleItems.forEach((item) => {
+            item.campaignsCashback = [];
+        });
+
+        sale.appliedCampaigns.forEach((appliedCampaign) => {
+            const shares = eligibleItems
+                .filter((item) => item.matchedCampaigns.includes(appliedCampaign.code))
+                .map((item) => ({ item, unitPrice: item.unitPrice, quantity: item.quantity }));
+
+            this._allocateCashback(shares, appliedCampaign.totalCashback);
+
+            shares.forEach((share) => {
+                share.item.campaignsCashback.push({
+                    campaign: appliedCampaign.code,
+                    unitCashback: share.unitCashback,
+                    totalCashback: share.totalCashback
+                });
+            });
+        });
+
+        eligibleItems.forEach((item) => {
+            item.unitCashback = _.sumBy(item.campaignsCashback, 'unitCashback');
+            item.totalCashback = _.sumBy(item.campaignsCashback, 'totalCashback');
+        });
+    }
+
+    /**
+     * A função _releaseCampaignsBudget devolve aos contadores de orçamento o valor das reservas informadas,
+     * usada quando a venda é cancelada ou tem itens devolvidos.
+     */
+    async _releaseCampaignsBudget(reservations, session) {
+        for (const reservation of reservations || []) {
+            if (!reservation.value) continue;
+
+            await this._campaignBudgetModel.updateOne(
+                { key: reservation.key },
+                { $inc: { consumed: -reservation.value } },
+                { session }
+            );
+        }
+    }
+
     /**
      * A função await this._checkSaleCampaign é utilizada para verificar se uma venda realizada está associada a alguma campanha de marketing em vigor.
      * Essa função recebe como parâmetros um objeto saleData contendo informações sobre a venda e uma lista de objetos campaigns contendo informações sobre as campanhas de marketing ativas.
@@ -279,14 +930,19 @@ class SaleService extends BaseService {
      * Para isso, a função compara a data de realização da venda com as datas de início e fim de cada campanha na lista.
      * Se a data de realização da venda estiver dentro do período de alguma campanha em vigor, a função retorna o objeto dessa campanha.
      * Se a venda não estiver associada a nenhuma campanha em vigor, a função retorna null.
+     * As regras de cliente (customerRules) usam o objeto customer montado por _getCustomerContext.
      */
-    async _checkSaleCampaign(campaign, sale, cpf) {
+    async _checkSaleCampaign(campaign, sale, cpf, customer) {
         if (!this._checkSalesChannelRule(campaign, sale)) {
             console.log(`fail ${campaign.code} _checkSalesChannelRule`);
             return { isValid: false, reason: 'FAIL_SALES_CHANNEL_RULE' };
         } else if (!this._checkSubsidiariesChannelRule(campaign, sale)) {
             console.log(`fail ${campaign.code} _checkSubsidiariesChannelRule`);
             return { isValid: false, reason: 'FAIL_SALES_SUBSIDIARIES_RULE' };
+        } else if (!this._checkTimeWindowRule(campaign, sale)) {
+            console.log(`fail ${campaign.code} _checkTimeWindowRule`);
+
+            return { isValid: false, reason: 'FAIL_TIME_WINDOW_RULE' };
         } else if (!this._checkPaymentMethodRule(campaign, sale)) {
             console.log(`fail ${campaign.code} _checkPaymentMethodRule`);
 
@@ -303,7 +959,16 @@ class SaleService extends BaseService {
             console.log(`fail ${campaign.code} _checkMinSaleValueRule`);
 
             return { isValid: false, reason: 'FAIL_MIN_VALUE_RULE' };
-        } else if (
+        }
+
+        const customerFailReason = this._checkCustomerRules(campaign, sale, customer);
+        if (customerFailReason) {
+            console.log(`fail ${campaign.code} _checkCustomerRules`);
+
+            return { isValid: false, reason: customerFailReason };
+        }
+
+        if (
             campaign.cpfParticipationLimit &&
             !(await this._checkCpfParticipationLimit(campaign.code, campaign.cpfParticipationLimit, cpf))
         ) {
@@ -312,6 +977,13 @@ class SaleService extends BaseService {
             return { isValid: false, reason: 'FAIL_CPF_PARTICIPATION_LIMIT_RULE' };
         }
 
+        const budgetFailReason = await this._checkCampaignBudget(campaign, sale, cpf);
+        if (budgetFailReason) {
+            console.log(`fail ${campaign.code} _checkCampaignBudget`);
+
+            return { isValid: false, reason: budgetFailReason };
+        }
+
         if (!sale.matchedCampaigns) sale.matchedCampaigns = [campaign.code];
         else sale.matchedCampaigns.push(campaign.code);
 
@@ -326,7 +998,7 @@ class SaleService extends BaseService {
      * O cálculo do cashback pode envolver várias regras de negócio, como percentuais de desconto, valores mínimos e máximos de cashback, regras de elegibilidade para participação na campanha, entre outras.
      * A função retorna o valor do cashback calculado para a venda. Esse valor será usado posteriormente na função _createNewSale para atualizar o saldo de cashback do comprador e para registrar informações sobre a venda.
      */
-    async _calculeCashback(campaigns, sale, customerId, receivedSaleId) {
+    async _calculeCashback(campaigns, sale, customerId, receivedSaleId, authorizationToken) {
         if (!campaigns) {
             await this._receivedSaleModel.findByIdAndUpdate(receivedSaleId, { $set: { reason: { campaigns } } });
             throw new Error('SALE_NOT_MATCH_ANY_CAMPAIGN');
@@ -337,8 +1009,12 @@ class SaleService extends BaseService {
 
         sale.items = this._processItems(sale.items);
 
+        const customer = campaigns.some((campaign) => !_.isEmpty(campaign.customerRules))
+            ? await this._getCustomerContext(customerId, sale, authorizationToken)
+            : null;
+
         for await (const campaign of campaigns) {
-            const { isValid, reason } = await this._checkSaleCampaign(campaign, sale, customerId);
+            const { isValid, reason } = await this._checkSaleCampaign(campaign, sale, customerId, customer);
             console.log(`${campaign.code} isValid: ${isValid}`);
             if (isValid) validCampaigns.push(campaign);
             else invalidCampaigns.push({ isValid, reason, campaign: campaign.code });
@@ -375,42 +1051,174 @@ class SaleService extends BaseService {
     /**
      * A função _markEligibleItemsBasedOnUsedCampaign é utilizada para marcar os itens de uma venda que são elegíveis para receber cashback com base em uma campanha que já foi utilizada anteriormente pelo usuário.
      * Essa função recebe como parâmetros um objeto sale contendo informações sobre a venda em questão e um objeto usedCampaigns contendo informações sobre as campanhas que já foram utilizadas pelo usuário. A função itera sobre os itens da venda e verifica se cada item é elegível para receber cashback com base nas campanhas já utilizadas pelo usuário.
-     * Se o item for elegível, a função adiciona uma propriedade eligibleForCashback ao objeto item com o valor true.
+     * Se o item for elegível em alguma das campanhas aplicadas na venda (appliedCampaigns, ou usedCampaign nas vendas antigas), a propriedade eligible do item fica com o valor true.
      * Ao final do processamento dos itens, a função retorna o objeto sale atualizado com as informações sobre os itens elegíveis para receber cashback.
      * Essa função é importante porque permite que a empresa ofereça cashback de forma personalizada para cada item da venda com base nas campanhas que já foram utilizadas pelo usuário, incentivando a fidelização do cliente e promovendo vendas adicionais.
      */
     _markEligibleItemsBasedOnUsedCampaign(sale) {
+        const usedCampaigns = sale.appliedCampaigns
+            ? sale.appliedCampaigns.map((appliedCampaign) => appliedCampaign.code)
+            : [sale.usedCampaign];
+
         sale.items.forEach((item) => {
-            item.eligible = item.matchedCampaigns.includes(sale.usedCampaign);
+            item.eligible = item.matchedCampaigns.some((code) => usedCampaigns.includes(code));
         });
     }
 
     /**
      * A função _getActivesCampaigns é responsável por buscar no banco de dados todas as campanhas de marketing que estão ativas, ou seja, que possuem data de início anterior ou igual à data atual e data de término posterior ou igual à data atual.
-     * Essa função retorna um array contendo todas as campanhas ativas.
+     * Essa função retorna um array contendo todas as campanhas ativas, lidas do cache de campanhas (ver _getCampaignsByStatus).
      */
     async _getActivesCampaigns() {
-        return await this._campaignIntegration.getCampaigns({ status: 'ACTIVE' });
+        return await this._getCampaignsByStatus('ACTIVE', new Date());
     }
 
     /**
-     * A função _addDays é usada para adicionar uma quantidade específica de dias a uma data.
-     * Ela recebe dois parâmetros: uma data e um número inteiro representando o número de dias a serem adicionados.
-     * A função usa a biblioteca date-fns para adicionar o número de dias especificado à data passada como argumento e retorna a nova data resultante.
-     * Essa função é útil para calcular a data de vencimento ou expiração de uma venda ou campanha de marketing, por exemplo.
+     * A função _getCampaignsByStatus retorna as campanhas com o status informado em vigor no dia da data (no fuso horário de negócio),
+     * guardadas em cache por status e dia durante CAMPAIGN_CACHE_TTL_MS (5 minutos por padrão).
+     * A integração é consultada com betweenDate no início e no fim do dia, para não trazer todas as campanhas já encerradas
+     * (as campanhas têm vigência em dias inteiros; uma campanha que começasse e terminasse no meio do mesmo dia não seria encontrada),
+     * e lida página a página (CAMPAIGN_PAGE_SIZE campanhas por página) até a última, então nenhuma campanha do dia fica de fora.
+     * A leitura em andamento também fica no cache, assim vendas processadas ao mesmo tempo esperam a mesma busca; se ela falhar, a entrada é removida.
+     * As campanhas do cache são compartilhadas e não devem ser alteradas por quem chama.
      */
-    _addDays(baseDate, number) {
-        const newDate = new Date(baseDate);
-        return add(newDate, { days: number });
+    async _getCampaignsByStatus(status, date) {
+        const day = dateUtils.getDateKey(date);
+        const key = `${status}|${day}`;
+        const now = Date.now();
+
+        const cached = this._campaignCache.get(key);
+        if (cached && cached.expiresAt > now) return await cached.campaigns;
+
+        this._campaignCache.forEach((entry, entryKey) => {
+            if (entry.expiresAt <= now) this._campaignCache.delete(entryKey);
+        });
+
+        const campaigns = Promise.all(
+            [dateUtils.startOfDay(day), dateUtils.endOfDay(day)].map((betweenDate) =>
+                this._fetchAllCampaigns(status, betweenDate)
+            )
+        ).then((dayCampaigns) => _.uniqBy(dayCampaigns.flat(), 'code'));
+        this._campaignCache.set(key, { status, campaigns, expiresAt: now + this._campaignCacheTtlMs });
+
+        try {
+            return await campaigns;
+        } catch (error) {
+            if (this._campaignCache.get(key) && this._campaignCache.get(key).campaigns === campaigns)
+                this._campaignCache.delete(key);
+            throw error;
+        }
     }
 
     /**
-     * A função _createUsedCashbackSale é responsável por criar uma nova venda que utiliza o cashback acumulado pelo cliente como forma de pagamento. Ela recebe como parâmetro um objeto saleData que contém as informações da venda, incluindo o ID do cliente, o ID do produto vendido, o preço unitário do produto e a quantidade de produtos vendidos.
-     *  Antes de criar a nova venda, a função verifica se o cliente possui cashback acumulado suficiente para cobrir o valor da venda. Caso contrário, a função retorna um erro informando que o cliente não possui cashback suficiente.
-     *  Se o cliente possui cashback suficiente, a função cria a nova venda e subtrai o valor do cashback utilizado do saldo total de cashback do cliente.
-     *  Por fim, a função retorna um objeto que contém as informações da venda recém-criada, incluindo o ID da venda, o ID do produto vendido, o ID do cliente que realizou a compra, o preço unitário do produto, a quantidade de produtos vendidos, a data e hora da venda e o valor do cashback utilizado.
+     * A função _fetchAllCampaigns busca na integração todas as páginas de campanhas com o status informado em vigor em betweenDate.
+     * A busca termina na primeira página incompleta ou que não trouxer nenhuma campanha nova, o que também protege contra uma integração que ignore page.
      */
-    _createUsedCashbackSale(sale) {
+    async _fetchAllCampaigns(status, betweenDate) {
+        const campaigns = new Map();
+
+        for (let page = 1; ; page++) {
+            const pageCampaigns =
+                (await this._campaignIntegration.getCampaigns({
+                    status,
+                    betweenDate: betweenDate.toISOString(),
+                    page,
+                    limit: this._campaignPageSize
+                })) || [];
+            const newCampaigns = pageCampaigns.filter((campaign) => !campaigns.has(campaign.code));
+
+            newCampaigns.forEach((campaign) => campaigns.set(campaign.code, campaign));
+
+            if (pageCampaigns.length < this._campaignPageSize || newCampaigns.length < 1) break;
+        }
+
+        return [...campaigns.values()];
+    }
+
+    /**
+     * A função invalidateCampaignCache descarta as campanhas em cache, de um status ou de todos, para que a próxima venda busque a versão atual na integração.
+     * Deve ser chamada quando uma campanha é criada ou alterada.
+     * O cache fica na memória de cada instância do SaleService: a chamada só limpa o cache da instância que a recebeu,
+     * e as demais instâncias (outros processos ou servidores) continuam usando a versão anterior até o cache delas vencer (CAMPAIGN_CACHE_TTL_MS).
+     */
+    invalidateCampaignCache(status) {
+        this._campaignCache.forEach((entry, key) => {
+            if (!status || entry.status === status) this._campaignCache.delete(key);
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * A função _getCampaignsForDate retorna as campanhas ativas e expiradas que estavam em vigor na data informada,
+     * ou seja, com o dia da data entre o dia de startDate e o dia de endDate (no fuso horário de negócio).
+     */
+    async _getCampaignsForDate(date) {
+        const campaigns = (
+            await Promise.all([this._getCampaignsByStatus('ACTIVE', date), this._getCampaignsByStatus('EXPIRED', date)])
+        ).flat();
+        const day = dateUtils.getDateKey(date);
+
+        return _.uniqBy(campaigns, 'code').filter(
+            (campaign) =>
+                dateUtils.getDateKey(campaign.startDate) <= day && day <= dateUtils.getDateKey(campaign.endDate)
+        );
+    }
+
+    /**
+     * A função _createCampaignSnapshot copia a campanha inteira (todas as regras em vigor) para ser guardada na venda.
+     * hash identifica o conteúdo exato da campanha (SHA-256 do JSON com as chaves ordenadas) e version é a versão informada pela integração
+     * (version ou updatedAt), quando existir. O snapshot é gravado junto com a venda e nunca é alterado depois.
+     */
+    _createCampaignSnapshot(campaign) {
+        const normalize = (value) => {
+            if (Array.isArray(value)) return value.map(normalize);
+            if (value instanceof Date) return value.toISOString();
+            if (_.isPlainObject(value))
+                return Object.keys(value)
+                    .sort()
+                    .reduce((result, key) => ({ ...result, [key]: normalize(value[key]) }), {});
+            return value;
+        };
+        const rules = normalize(campaign);
+
+        return {
+            code: campaign.code,
+            version: campaign.version || campaign.updatedAt || null,
+            hash: crypto.createHash('sha256').update(JSON.stringify(rules)).digest('hex'),
+            capturedAt: new Date(),
+            campaign: rules
+        };
+    }
+
+    /**
+     * A função _getSaleCampaign retorna as regras da campanha que estavam em vigor quando a venda foi gerada, a partir do snapshot gravado na venda (campaignSnapshots).
+     * Vendas antigas, gravadas antes dos snapshots, continuam usando a versão atual da campanha em vigor na data da venda (_getCampaignByCode).
+     */
+    async _getSaleCampaign(sale, code) {
+        const snapshot = (sale.campaignSnapshots || []).find((campaignSnapshot) => campaignSnapshot.code === code);
+        if (snapshot) return _.cloneDeep(snapshot.campaign);
+
+        return await this._getCampaignByCode(code, sale.saleDate || new Date());
+    }
+
+    /**
+     * A função _addDays é usada para adicionar uma quantidade específica de dias a uma data.
+     * Ela recebe dois parâmetros: uma data e um número inteiro representando o número de dias a serem adicionados.
+     * Os dias são somados no calendário do fuso horário de negócio (date_utils), então o horário de relógio é mantido mesmo com mudanças de horário de verão.
+     * Essa função é útil para calcular a data de vencimento ou expiração de uma venda ou campanha de marketing, por exemplo.
+     */
+    _addDays(baseDate, number) {
+        return dateUtils.add(baseDate, { days: number });
+    }
+
+    /**
+     * A função _createUsedCashbackSale é responsável por criar uma nova venda que utiliza o cashback acumulado pelo cliente como forma de pagamento. Ela recebe como parâmetro um objeto saleData que contém as informações da venda, incluindo o ID do cliente, o ID do produto vendido, o preço unitário do produto e a quantidade de produtos vendidos.
+     *  Antes de criar a nova venda, a função verifica se o cliente possui cashback acumulado suficiente para cobrir o valor da venda. Caso contrário, a função retorna um erro informando que o cliente não possui cashback suficiente.
+     *  Se o cliente possui cashback suficiente, a função cria a nova venda e subtrai o valor do cashback utilizado do saldo total de cashback do cliente.
+     *  Por fim, a função retorna um objeto que contém as informações da venda recém-criada, incluindo o ID da venda, o ID do produto vendido, o ID do cliente que realizou a compra, o preço unitário do produto, a quantidade de produtos vendidos, a data e hora da venda e o valor do cashback utilizado.
+     */
+    _createUsedCashbackSale(sale) {
         return {
             status: 'USED',
             invoiceKey: sale.invoice && sale.invoice.key,
@@ -476,142 +1284,312 @@ class SaleService extends BaseService {
      * Essa função é importante porque permite que a empresa acompanhe e analise o desempenho de suas fontes de cashback ao longo do tempo.
      * Além disso, permite que a empresa identifique padrões ou tendências no uso de cashback e faça ajustes em suas estratégias de marketing e vendas para melhorar os resultados.
      */
-    _createCashbackFontHistory({ usedValue, invoiceKey, saleId }) {
+    _createCashbackFontHistory({ usedValue, invoiceKey, saleId, strategy }) {
         return {
             usedValue,
             from: invoiceKey,
             saleId,
+            strategy,
             date: new Date()
         };
     }
 
     /**
-     * A função this._useCashback é responsável por atualizar o saldo de cashback de um determinado cliente após ele utilizar o cashback acumulado como forma de pagamento em uma venda.
-     * Ela recebe como parâmetro o ID do cliente e o valor do cashback utilizado na venda.
-     * A função busca o cliente no banco de dados e verifica se ele possui cashback acumulado suficiente para cobrir o valor do cashback utilizado na venda. Caso contrário, a função retorna um erro informando que o cliente não possui cashback suficiente.
-     * Se o cliente possui cashback suficiente, a função subtrai o valor do cashback utilizado do saldo total de cashback do cliente e atualiza o documento do cliente no banco de dados com o novo saldo.
-     * Por fim, a função retorna o saldo atualizado de cashback do cliente em formato de número.
-     * Se ocorrer algum erro durante o processo de atualização do saldo no banco de dados, a função retorna o erro gerado.
+     * A função _sortSalesForRedemption define a ordem em que o saldo das vendas de origem é consumido quando o cliente utiliza cashback.
+     * As estratégias disponíveis são:
+     * EXPIRATION_FIRST: consome primeiro o cashback que expira antes (padrão), para o cliente não perder saldo na expiração;
+     * OLDEST_CREDIT_FIRST: consome primeiro o cashback liberado há mais tempo;
+     * CAMPAIGN_PRIORITY: consome primeiro as campanhas na ordem de campaignPriority e, dentro de cada campanha, o que expira antes.
+     * A estratégia pode ser informada na chamada; se não for, é usada a configurada em CASHBACK_REDEMPTION_STRATEGY.
      */
-    async _useCashback({ usedValue, cpf, invoiceKey, saleId }) {
-        const salesWithCashback = await this._saleModel.find(
-            { cpf, status: 'AVAILABLE', availableCashback: { $gt: 0 } },
-            {},
-            { sort: { expirateDate: -1 } }
+    _sortSalesForRedemption(sales, { strategy, campaignPriority } = {}) {
+        strategy = strategy || this._redemptionStrategy;
+        campaignPriority = campaignPriority || this._campaignPriority;
+
+        const byExpiration = (sale) => new Date(sale.expirateDate).getTime();
+        const byCredit = (sale) => new Date(sale.creditDate).getTime();
+        const byCampaign = (sale) => {
+            const priority = campaignPriority.indexOf(sale.usedCampaign);
+            return priority === -1 ? campaignPriority.length : priority;
+        };
+
+        const strategies = {
+            EXPIRATION_FIRST: [byExpiration, byCredit],
+            OLDEST_CREDIT_FIRST: [byCredit, byExpiration],
+            CAMPAIGN_PRIORITY: [byCampaign, byExpiration, byCredit]
+        };
+
+        if (!strategies[strategy]) throw new Error('INVALID_REDEMPTION_STRATEGY');
+
+        return { strategy, sales: _.sortBy(sales, [...strategies[strategy], (sale) => String(sale._id)]) };
+    }
+
+    /**
+     * A função this._useCashback é responsável por debitar do saldo de um determinado cliente o cashback utilizado como forma de pagamento em uma venda.
+     * Ela recebe como parâmetro o CPF do cliente, o valor do cashback utilizado, a nota e o ID da venda que utilizou o cashback e a sessão da transação em andamento.
+     * O saldo de cada venda de origem é lido do ledger e o valor é consumido venda a venda, na ordem da estratégia de consumo (ver _sortSalesForRedemption),
+     * gerando um lançamento DEBIT para cada uma delas. A estratégia aplicada fica gravada em cada item do histórico retornado.
+     * Cada venda de origem só é atualizada se ainda estiver AVAILABLE; como tudo roda dentro da transação, duas utilizações simultâneas do mesmo CPF entram em conflito
+     * de escrita na mesma venda de origem e uma delas é refeita já com o saldo atualizado.
+     * Se o saldo acabar antes de cobrir o valor utilizado, ou se alguma venda de origem mudar no meio do débito, a função lança INSUFFICIENT_FUNDS e a transação é desfeita.
+     * Por fim, a função retorna o histórico das vendas de onde o cashback foi utilizado.
+     */
+    async _useCashback({ usedValue, cpf, invoiceKey, saleId, strategy, campaignPriority }, session) {
+        const salesCashback = await this._getSalesCashback({ cpf }, session);
+
+        const { strategy: appliedStrategy, sales: salesWithCashback } = this._sortSalesForRedemption(
+            await this._saleModel.find(
+                { _id: { $in: Object.keys(salesCashback) }, status: 'AVAILABLE' },
+                {},
+                { session }
+            ),
+            { strategy, campaignPriority }
         );
 
-        let i = 0;
         let usedValueAux = usedValue;
         const history = [];
-        const usedSales = [];
+        const entries = [];
 
-        while (usedValueAux) {
-            const sale = salesWithCashback[i];
+        for (const sale of salesWithCashback) {
+            if (!usedValueAux) break;
 
-            if (sale.availableCashback >= usedValueAux) {
-                sale.cashbackUseHistory = this._createOrAddCashbackUseHistory({
-                    usedValue: usedValueAux,
-                    invoiceKey,
-                    saleId,
-                    cashbackUseHistory: sale.cashbackUseHistory
-                });
+            const value = Math.min(salesCashback[sale._id], usedValueAux);
+            const cashbackUseHistory = this._createOrAddCashbackUseHistory({
+                usedValue: value,
+                invoiceKey,
+                saleId
+            });
 
-                history.push(
-                    this._createCashbackFontHistory({
-                        usedValue: usedValueAux,
-                        saleId: sale._id,
-                        invoiceKey: sale.invoiceKey
-                    })
-                );
+            history.push(
+                this._createCashbackFontHistory({
+                    usedValue: value,
+                    saleId: sale._id,
+                    invoiceKey: sale.invoiceKey,
+                    strategy: appliedStrategy
+                })
+            );
 
-                sale.availableCashback = sale.availableCashback - usedValueAux;
-                usedValueAux = 0;
-            } else if (usedValueAux > sale.availableCashback) {
-                sale.cashbackUseHistory = this._createOrAddCashbackUseHistory({
-                    usedValue: sale.availableCashback,
-                    invoiceKey,
-                    saleId,
-                    cashbackUseHistory: sale.cashbackUseHistory
-                });
-                history.push(
-                    this._createCashbackFontHistory({
-                        usedValue: sale.availableCashback,
-                        saleId: sale._id,
-                        invoiceKey: sale.invoiceKey
-                    })
-                );
+            entries.push(
+                ...this._splitLedgerEntry(
+                    {
+                        cpf,
+                        type: 'DEBIT',
+                        value: -value,
+                        sale: sale._id,
+                        reference: { sale: saleId, invoiceKey },
+                        date: _.last(history).date
+                    },
+                    sale
+                )
+            );
 
-                usedValueAux = usedValueAux - sale.availableCashback;
-                sale.availableCashback = 0;
-            }
-            usedSales.push(sale);
-            i++;
+            const { matchedCount } = await this._saleModel.updateOne(
+                { _id: sale._id, status: 'AVAILABLE' },
+                {
+                    $set: { availableCashback: salesCashback[sale._id] - value },
+                    $push: { cashbackUseHistory: { $each: cashbackUseHistory } }
+                },
+                { session }
+            );
+
+            if (matchedCount !== 1) throw new Error('INSUFFICIENT_FUNDS');
+
+            usedValueAux = usedValueAux - value;
+        }
+
+        if (usedValueAux > 0) throw new Error('INSUFFICIENT_FUNDS');
+
+        await this._addLedgerEntries(entries, session);
+
+        return history;
+    }
+
+    /**
+     * A função _withTransaction executa o callback dentro de uma transação do MongoDB, passando a sessão como parâmetro.
+     * Erros transitórios (como conflitos de escrita entre transações concorrentes) fazem o callback ser executado novamente pelo próprio driver.
+     * Qualquer outro erro desfaz tudo o que foi escrito com a sessão e é repassado para quem chamou.
+     */
+    async _withTransaction(callback) {
+        const session = await mongoose.startSession();
+
+        try {
+            let result;
+
+            await session.withTransaction(async () => {
+                result = await callback(session);
+            });
+
+            return result;
+        } finally {
+            session.endSession();
         }
+    }
+
+    /**
+     * A função _addLedgerEntries grava novos lançamentos no ledger de cashback.
+     * Os lançamentos nunca são alterados ou removidos depois de gravados: qualquer correção é feita com um novo lançamento (REVERSAL ou ADJUSTMENT).
+     */
+    async _addLedgerEntries(entries, session) {
+        if (!entries || entries.length < 1) return [];
+
+        return await this._cashbackLedgerModel.insertMany(entries, { session });
+    }
+
+    /**
+     * A função _splitLedgerEntry divide um lançamento da venda entre as campanhas aplicadas nela (appliedCampaigns), proporcionalmente ao cashback de cada uma,
+     * para que o cashback de uma campanha acumulada não fique lançado na campanha principal. O resto dos centavos vai para as maiores frações, como em _allocateCashback.
+     * Vendas com uma única campanha (ou antigas, sem appliedCampaigns) e lançamentos sem valor geram um único lançamento com usedCampaign.
+     */
+    _splitLedgerEntry(entry, sale) {
+        const appliedCampaigns = (sale.appliedCampaigns || []).filter(
+            (appliedCampaign) => appliedCampaign.totalCashback > 0
+        );
+        if (appliedCampaigns.length < 2 || !entry.value) return [{ ...entry, campaign: sale.usedCampaign }];
+
+        const total = _.sumBy(appliedCampaigns, 'totalCashback');
+        const value = Math.abs(entry.value);
+        const shares = appliedCampaigns.map((appliedCampaign, index) => {
+            const exact = (value * appliedCampaign.totalCashback) / total;
+            return {
+                campaign: appliedCampaign.code,
+                value: Math.floor(exact),
+                remainder: exact - Math.floor(exact),
+                index
+            };
+        });
+
+        let leftover = value - _.sumBy(shares, 'value');
+        _.orderBy(shares, ['remainder', 'index'], ['desc', 'asc']).forEach((share) => {
+            if (leftover < 1) return;
+            share.value += 1;
+            leftover -= 1;
+        });
+
+        return shares
+            .filter((share) => share.value > 0)
+            .map((share) => ({ ...entry, campaign: share.campaign, value: Math.sign(entry.value) * share.value }));
+    }
+
+    /**
+     * A função _getSalesCashback soma os lançamentos do ledger que atendem ao filtro informado, agrupando pela venda de origem do cashback.
+     * Retorna um objeto no formato { [saleId]: saldo }, apenas com as vendas que ainda possuem saldo positivo.
+     */
+    async _getSalesCashback(match, session) {
+        const salesCashbackAgg = await this._cashbackLedgerModel
+            .aggregate([
+                { $match: match },
+                { $group: { _id: '$sale', value: { $sum: '$value' } } },
+                { $match: { _id: { $ne: null }, value: { $gt: 0 } } }
+            ])
+            .session(session || null);
+
+        return salesCashbackAgg.reduce((salesCashback, { _id, value }) => {
+            salesCashback[_id] = value;
+            return salesCashback;
+        }, {});
+    }
+
+    /**
+     * A função _syncSalesCashback atualiza o campo availableCashback das vendas informadas com o saldo calculado a partir do ledger.
+     * O availableCashback da venda passa a ser apenas uma projeção do ledger, mantida para as consultas e relatórios que já leem esse campo.
+     */
+    async _syncSalesCashback(saleIds, session) {
+        const ids = saleIds.map((id) => mongoose.Types.ObjectId(id));
+        const salesCashback = await this._getSalesCashback({ sale: { $in: ids } }, session);
 
         await Promise.all(
-            usedSales.map((usedSale) =>
+            ids.map((id) =>
                 this._saleModel.updateOne(
-                    { _id: usedSale._id },
-                    {
-                        $set: {
-                            availableCashback: usedSale.availableCashback,
-                            cashbackUseHistory: usedSale.cashbackUseHistory
-                        }
-                    }
+                    { _id: id },
+                    { $set: { availableCashback: salesCashback[id] || 0 } },
+                    { session }
                 )
             )
         );
 
-        return history;
+        return salesCashback;
     }
 
     /**
      * A função _getBalance é responsável por obter o saldo atual de cashback de um determinado cliente.
      * Ela recebe como parâmetro o ID do cliente cujo saldo de cashback deve ser obtido.
-     * Para calcular o saldo de cashback do cliente, a função percorre todas as vendas realizadas por esse cliente e verifica se cada venda gerou cashback.
-     * Caso positivo, o valor do cashback é adicionado ao saldo total de cashback do cliente.
+     * Para calcular o saldo de cashback do cliente, a função soma todos os lançamentos do ledger desse CPF (créditos, usos, estornos, expirações e ajustes).
+     * Antes da soma, as vendas AVAILABLE criadas antes do ledger são migradas por _backfillLegacyLedger, para que o saldo delas não fique de fora.
      * Por fim, a função retorna o saldo total de cashback do cliente em formato de número.
      * Se o cliente não tiver nenhuma venda realizada que gerou cashback, a função retorna o valor zero.
      */
-    async _getBalance(cpf) {
-        const [balanceAgg] = await this._saleModel.aggregate([
-            {
-                $match: {
-                    cpf: cpf,
-                    status: 'AVAILABLE'
-                }
-            },
-            {
-                $group: {
-                    _id: '$cpf',
-                    balance: {
-                        $sum: '$availableCashback'
+    async _getBalance(cpf, session) {
+        await this._backfillLegacyLedger(cpf, session);
+
+        const [balanceAgg] = await this._cashbackLedgerModel
+            .aggregate([
+                {
+                    $match: {
+                        cpf: cpf
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$cpf',
+                        balance: {
+                            $sum: '$value'
+                        }
                     }
                 }
-            }
-        ]);
+            ])
+            .session(session || null);
         return balanceAgg;
     }
 
     /**
-     * A função _getLastRescues busca no banco de dados as últimas apurações de resgate de cashback realizadas.
+     * A função _backfillLegacyLedger migra para o ledger as vendas AVAILABLE do CPF que ainda não têm nenhum lançamento (criadas antes do ledger),
+     * com os lançamentos de _buildLegacyLedgerEntries e um ADJUSTMENT com o que faltar para chegar ao availableCashback gravado na venda.
+     * Assim o saldo de quem já tinha cashback não aparece zerado até alguém rodar reconcileLedger, e as utilizações seguintes já encontram o crédito da venda no ledger.
+     * Fora de uma transação, o crédito já migrado por uma chamada concorrente (erro 11000) é ignorado.
+     */
+    async _backfillLegacyLedger(cpf, session) {
+        const legacySales = await this._saleModel
+            .aggregate([
+                { $match: { cpf: cpf, status: 'AVAILABLE' } },
+                { $lookup: { from: 'cashback_ledger', localField: '_id', foreignField: 'sale', as: 'ledger' } },
+                { $match: { ledger: { $size: 0 } } },
+                { $project: { ledger: 0 } }
+            ])
+            .session(session || null);
+
+        const entries = legacySales.flatMap((sale) => {
+            const legacyEntries = this._buildLegacyLedgerEntries(sale);
+            const difference = (sale.availableCashback || 0) - _.sumBy(legacyEntries, 'value');
+            return [...legacyEntries, ...(difference ? [this._buildLedgerAdjustment(sale, difference)] : [])];
+        });
+
+        try {
+            await this._addLedgerEntries(entries, session);
+        } catch (error) {
+            if (session || error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * A função _getLastRescues soma os créditos de cashback lançados no ledger do CPF nos últimos dois meses.
      * Essa função retorna um array com as últimas apurações, ordenadas pela data de criação.
      * O objetivo dessa função é permitir que o sistema possa verificar se já houve uma apuração recente de resgate de cashback antes de realizar uma nova apuração.
      */
     async _getLastRescues(cpf, now) {
-        const creditDate = startOfDay(sub(now, { months: 2 }));
-        const [lastRescuesAgg] = await this._saleModel.aggregate([
+        const creditDate = dateUtils.startOfDay(dateUtils.add(now, { months: -2 }));
+        const [lastRescuesAgg] = await this._cashbackLedgerModel.aggregate([
             {
                 $match: {
                     cpf: cpf,
-                    creditDate: { $gte: this._updateHours(creditDate.getTimezoneOffset() / 60, creditDate) }
+                    type: 'CREDIT',
+                    date: { $gte: creditDate }
                 }
             },
             {
                 $group: {
                     _id: '$cpf',
                     value: {
-                        $sum: '$totalCashback'
+                        $sum: '$value'
                     }
                 }
             }
@@ -622,25 +1600,29 @@ class SaleService extends BaseService {
     /**
      * A função _getCloseToExpire é responsável por buscar o valor total do cashback disponível que está próximo do prazo de expiração para um determinado CPF.
      * A função começa definindo a data limite para que o cashback esteja próximo da expiração, adicionando um mês a partir da data atual (now) e definindo o último segundo do dia como data limite.
-     * Em seguida, a função usa a função aggregate do MongoDB para buscar as vendas que correspondem ao CPF, que possuem status "AVAILABLE" (disponível para resgate) e possuem uma data de expiração anterior ou igual à data limite definida anteriormente.
-     * Por fim, a função realiza uma operação de soma do cashback disponível para cada venda encontrada e retorna o valor total em um objeto com a estrutura { _id: 'CPF', value: 'valor_total_disponivel' }.
+     * Em seguida, a função soma os lançamentos do ledger do CPF por venda de origem e mantém apenas as vendas com saldo, status "AVAILABLE" (disponível para resgate) e data de expiração anterior ou igual à data limite definida anteriormente.
+     * Por fim, a função soma o saldo dessas vendas e retorna o valor total em um objeto com a estrutura { _id: 'CPF', value: 'valor_total_disponivel' }.
      */
     async _getCloseToExpire(cpf, now) {
-        const expirateDate = endOfDay(add(now, { months: 1 }));
-
-        const [closeToExpireAgg] = await this._saleModel.aggregate([
+        const expirateDate = this._getCloseToExpireLimit(now, { months: 1 });
+
+        const [closeToExpireAgg] = await this._cashbackLedgerModel.aggregate([
+            { $match: { cpf: cpf } },
+            { $group: { _id: '$sale', value: { $sum: '$value' } } },
+            { $match: { value: { $gt: 0 } } },
+            { $lookup: { from: 'sales', localField: '_id', foreignField: '_id', as: 'sale' } },
+            { $unwind: '$sale' },
             {
                 $match: {
-                    cpf: cpf,
-                    status: 'AVAILABLE',
-                    expirateDate: { $lte: this._updateHours(expirateDate.getTimezoneOffset() / 60, expirateDate) }
+                    'sale.status': 'AVAILABLE',
+                    'sale.expirateDate': { $lte: expirateDate }
                 }
             },
             {
                 $group: {
-                    _id: '$cpf',
+                    _id: '$sale.cpf',
                     value: {
-                        $sum: '$availableCashback'
+                        $sum: '$value'
                     }
                 }
             }
@@ -648,24 +1630,30 @@ class SaleService extends BaseService {
         return closeToExpireAgg;
     }
 
+    /**
+     * A função _getCloseToExpireLimit retorna a data limite para o cashback ser considerado próximo da expiração:
+     * o fim do dia (no fuso horário de negócio) de now somado ao prazo informado (ex.: { months: 1 } ou { days: 7 }).
+     */
+    _getCloseToExpireLimit(now, duration) {
+        return dateUtils.endOfDay(dateUtils.add(now, duration));
+    }
+
     /**
      * Esta função recebe um período (LAST_6_MONTHS, LAST_YEAR ou LAST_2_YEARS) e retorna um objeto de consulta para ser usado em uma consulta ao banco de dados.
-     * O objeto de consulta contém uma cláusula $gte que compara a data especificada no período com a data atual, após a correção do fuso horário, usando a função _updateHours.
-     * A função _updateHours é responsável por ajustar a hora, levando em consideração o fuso horário.
+     * O objeto de consulta contém uma cláusula $gte com o início do dia, no fuso horário de negócio (date_utils), da data atual menos o período.
      * A função retorna o objeto de consulta a ser utilizado em uma consulta ao banco de dados.
      * Além disso, a função imprime o objeto de consulta no console para fins de depuração.
      */
     _getPeriodQuery(period) {
         const now = new Date();
-        const timezoneOffset = now.getTimezoneOffset() / 60;
 
         let query;
         if (period === 'LAST_6_MONTHS') {
-            query = { $gte: this._updateHours(timezoneOffset, startOfDay(sub(now, { months: 6 }))) };
+            query = { $gte: dateUtils.startOfDay(dateUtils.add(now, { months: -6 })) };
         } else if (period === 'LAST_YEAR') {
-            query = { $gte: this._updateHours(timezoneOffset, startOfDay(sub(now, { years: 1 }))) };
+            query = { $gte: dateUtils.startOfDay(dateUtils.add(now, { years: -1 })) };
         } else if (period === 'LAST_2_YEARS') {
-            query = { $gte: this._updateHours(timezoneOffset, startOfDay(sub(now, { years: 2 }))) };
+            query = { $gte: dateUtils.startOfDay(dateUtils.add(now, { years: -2 })) };
         }
 
         return query;
@@ -681,21 +1669,6 @@ class SaleService extends BaseService {
         return (value / 100).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
     }
 
-    /**
-     * A função _updateHours recebe dois parâmetros: hours e date.
-     * O parâmetro hours é um número inteiro que representa a diferença de horas entre o fuso horário local do servidor e o fuso horário desejado. Por exemplo, se o servidor estiver no horário de Brasília (UTC-3) e o fuso horário desejado for o horário de Nova York (UTC-5), hours deve ser igual a 2.
-     * O parâmetro date é um objeto Date que representa a data a ser atualizada com a diferença de horas especificada.
-     * A função retorna um novo objeto Date atualizado com a diferença de horas especificada.
-     * Isso é feito ajustando o valor de hora do objeto date de acordo com a diferença de horas especificada.
-     */
-    _updateHours(numOfHours, date = new Date()) {
-        const dateCopy = new Date(date.getTime());
-
-        dateCopy.setHours(dateCopy.getHours() - numOfHours);
-
-        return dateCopy;
-    }
-
     /**
      * A função _sumTotalBalance é responsável por calcular o saldo total de cashback disponível para resgate pelos clientes.
      * Ela recebe um array de objetos contendo as informações de resgates anteriores, e percorre esses objetos somando o valor de cada resgate ao saldo total.
@@ -725,6 +1698,7 @@ class SaleService extends BaseService {
      * balance: saldo total de cashback acumulado pelo usuário, obtido na função _getBalance
      * sales: array de objetos que representam as vendas do usuário, contendo as seguintes informações:
      * value: valor total de cashback gerado pela venda
+     * available: quanto desse cashback ainda está disponível, segundo o ledger
      * order: número do pedido
      * status: status da venda, que pode ser "AVAILABLE" se o cashback já foi liberado ou "CLOSE_TO_EXPIRE" se a data de expiração do cashback está próxima
      * saleDate: data em que a venda foi realizada
@@ -737,6 +1711,7 @@ class SaleService extends BaseService {
         const now = new Date();
 
         const balanceAgg = await this._getBalance(cpfUser);
+        const salesCashback = await this._getSalesCashback({ cpf: cpfUser });
         const userMycash = await this._myCashIntegration.getUserByCpf(cpfUser, authorizationToken);
         const userSales = await this._saleModel.find({ cpf: cpfUser, status: 'AVAILABLE' });
         const userPendingSales = await this._saleModel.find({ cpf: cpfUser, status: 'PENDING' });
@@ -766,8 +1741,9 @@ class SaleService extends BaseService {
             balance: (balanceAgg && balanceAgg.balance) || 0,
             sales: userSales.map((item) => ({
                 value: item.totalCashback,
+                available: salesCashback[item._id] || 0,
                 order: item.order.number,
-                status: isBefore(item.expirateDate, endOfDay(add(now, { months: 1 })))
+                status: isBefore(item.expirateDate, this._getCloseToExpireLimit(now, { months: 1 }))
                     ? 'CLOSE_TO_EXPIRE'
                     : 'AVAILABLE',
                 saleDate: item.saleDate,
@@ -800,6 +1776,7 @@ class SaleService extends BaseService {
      * lastRescues: o valor total de cashback resgatado pelo usuário nos últimos dois meses;
      * closeToExpire: o valor total de cashback que está próximo de expirar nos próximos 30 dias.
      * Caso não haja informações disponíveis para uma determinada propriedade, a função retorna o valor zero.
+     * A consulta não grava nada: o saldo no cadastro da Dito é atualizado pelo outbox a cada movimentação do cashback (crédito, utilização, estorno e expiração).
      */
     async wallet({ cpf }) {
         const now = new Date();
@@ -807,11 +1784,6 @@ class SaleService extends BaseService {
         const lastRescuesAgg = await this._getLastRescues(cpf, now);
         const closeToExpireAgg = await this._getCloseToExpire(cpf, now);
 
-        await this._ditoUsersIntegration.updateUser(cpf, {
-            saldo_cashback_valor: (((balanceAgg && balanceAgg.balance) || 0) / 100).toFixed(2),
-            saldo_cashback_data: formatISO(new Date())
-        });
-
         return {
             balance: (balanceAgg && balanceAgg.balance) || 0,
             lastRescues: (lastRescuesAgg && lastRescuesAgg.value) || 0,
@@ -819,40 +1791,194 @@ class SaleService extends BaseService {
         };
     }
 
+    /**
+     * A função statement retorna o extrato de cashback do CPF em ordem cronológica, montado a partir do ledger:
+     * créditos liberados, utilizações, estornos de cancelamentos e devoluções, expirações, ajustes e pagamentos de dívida.
+     * Cada linha traz o saldo acumulado (balance) depois do lançamento, partindo do saldo anterior ao período (openingBalance).
+     * O CPF pode vir formatado (com pontos e traço): só os dígitos são usados na consulta, como no restante do ledger.
+     * As vendas AVAILABLE criadas antes do ledger são migradas antes da consulta por _backfillLegacyLedger; as demais entram com reconcileLedger (fix = true).
+     * from e to são dias no fuso horário de negócio. Sem format, o extrato é paginado (page, limit);
+     * com format = 'PDF', retorna todas as linhas do período com datas e valores já formatados para impressão;
+     * com format = 'XLSX', retorna o arquivo gerado por _converterXLSXReport.
+     */
+    async statement(cpf, { from, to, page = 1, limit = 50, format } = {}) {
+        cpf = cpf.replace(/\D/g, '');
+        await this._backfillLegacyLedger(cpf);
+
+        const match = { cpf };
+        const date = {};
+
+        if (from) date.$gte = dateUtils.startOfDay(from);
+        if (to) date.$lte = dateUtils.endOfDay(to);
+        if (!_.isEmpty(date)) match.date = date;
+
+        page = Number(page);
+        limit = Number(limit);
+
+        const paginated = !['PDF', 'XLSX'].includes(format);
+        const skip = paginated ? (page - 1) * limit : 0;
+        const sort = { date: 1, _id: 1 };
+
+        const sumValues = async (pipeline) => {
+            const [agg] = await this._cashbackLedgerModel.aggregate([
+                ...pipeline,
+                {
+                    $group: {
+                        _id: null,
+                        count: { $sum: 1 },
+                        value: { $sum: '$value' },
+                        credits: { $sum: { $cond: [{ $gt: ['$value', 0] }, '$value', 0] } },
+                        debits: { $sum: { $cond: [{ $lt: ['$value', 0] }, '$value', 0] } }
+                    }
+                }
+            ]);
+
+            return agg || { count: 0, value: 0, credits: 0, debits: 0 };
+        };
+
+        const [opening, period, beforePage] = await Promise.all([
+            date.$gte ? sumValues([{ $match: { cpf, date: { $lt: date.$gte } } }]) : { value: 0 },
+            sumValues([{ $match: match }]),
+            skip > 0 ? sumValues([{ $match: match }, { $sort: sort }, { $limit: skip }]) : { value: 0 }
+        ]);
+
+        let entriesQuery = this._cashbackLedgerModel.find(match).sort(sort).lean();
+        if (paginated) entriesQuery = entriesQuery.skip(skip).limit(limit);
+
+        const entries = await entriesQuery;
+
+        const saleIds = _.uniqBy(
+            _.compact(_.flatMap(entries, (entry) => [entry.sale, entry.reference && entry.reference.sale])),
+            String
+        );
+        const sales = await this._saleModel.find({ _id: { $in: saleIds } }, { order: 1, invoiceKey: 1 }).lean();
+        const findSale = (id) => id && sales.find((sale) => String(sale._id) === String(id));
+
+        let balance = opening.value + beforePage.value;
+
+        const rows = entries.map((entry) => {
+            balance += entry.value;
+
+            const referenceSale = findSale(entry.reference && entry.reference.sale) || findSale(entry.sale);
+            const descriptionKey =
+                entry.type === 'REVERSAL' ? (entry.value > 0 ? 'REVERSAL_IN' : 'REVERSAL_OUT') : entry.type;
+
+            return {
+                date: entry.date,
+                type: entry.type,
+                description: STATEMENT_DESCRIPTIONS[descriptionKey],
+                reason: entry.description,
+                campaign: entry.campaign,
+                order: referenceSale && referenceSale.order ? referenceSale.order.number : undefined,
+                invoiceKey:
+                    (entry.reference && entry.reference.invoiceKey) || (referenceSale && referenceSale.invoiceKey),
+                sale: entry.sale,
+                value: entry.value,
+                balance
+            };
+        });
+
+        const summary = {
+            cpf,
+            from: date.$gte,
+            to: date.$lte,
+            openingBalance: opening.value,
+            closingBalance: opening.value + period.value,
+            credits: period.credits,
+            debits: period.debits
+        };
+
+        if (format === 'XLSX') {
+            return this._converterXLSXReport(
+                rows.map((row) => ({ ..._.omit(row, 'sale'), date: dateUtils.format(row.date, 'dd/MM/yyyy HH:mm:ss') }))
+            );
+        }
+
+        if (format === 'PDF') {
+            return {
+                ...summary,
+                timeZone: dateUtils.TIME_ZONE,
+                formatted: {
+                    from: from ? dateUtils.format(date.$gte, 'dd/MM/yyyy') : null,
+                    to: to ? dateUtils.format(date.$lte, 'dd/MM/yyyy') : null,
+                    openingBalance: this._formatMoney(summary.openingBalance),
+                    closingBalance: this._formatMoney(summary.closingBalance),
+                    credits: this._formatMoney(summary.credits),
+                    debits: this._formatMoney(summary.debits)
+                },
+                rows: rows.map((row) => ({
+                    ...row,
+                    formatted: {
+                        date: dateUtils.format(row.date, 'dd/MM/yyyy HH:mm'),
+                        value: this._formatMoney(row.value),
+                        balance: this._formatMoney(row.balance)
+                    }
+                }))
+            };
+        }
+
+        return {
+            ...summary,
+            docs: rows,
+            totalDocs: period.count,
+            limit,
+            page,
+            totalPages: Math.ceil(period.count / limit)
+        };
+    }
+
     /**
      * A função reports é responsável por gerar relatórios de vendas de acordo com os parâmetros informados.
      * Esses parâmetros podem incluir datas de início e fim, campanhas de marketing específicas, tipo de relatório (em formato de arquivo Excel ou JSON), entre outros.
      * Dentro da função, há uma série de validações e processamentos de dados para garantir que o relatório gerado esteja correto e completo. Isso inclui buscar todas as vendas que correspondam aos parâmetros informados, processá-las para calcular o valor do cashback, agrupá-las por data ou por campanha, e, por fim, gerar o relatório no formato desejado.
      * O relatório gerado pode conter informações como a data da venda, o valor total da venda, o valor do cashback, o nome da campanha de marketing associada, o status da campanha, entre outras informações relevantes.
+     * As vendas são lidas com um cursor e o arquivo é gerado sob demanda: a função retorna um stream do XLSX (padrão) ou do CSV.
+     * Para períodos grandes, use createReportExport, que gera o arquivo em segundo plano (job processReportExports).
+     */
+    async reports({ status, usedCampaign, startDate, endDate, format = 'XLSX' }) {
+        const query = this._getReportsQuery({ status, usedCampaign, startDate, endDate });
+
+        if (!(await this._saleModel.exists(query))) throw new Error('SALE_NOT_FOUND');
+
+        if (format === 'CSV') return this._streamReportCSV(this._getReportRows(query));
+
+        return this._streamReportXLSX(this._getReportRows(query));
+    }
+
+    /**
+     * A função _getReportsQuery monta o filtro do relatório de vendas: status, campanha usada e período da venda.
+     * startDate e endDate são dias inteiros no fuso horário de negócio (do início de startDate ao fim de endDate).
      */
-    async reports({ status, usedCampaign, startDate, endDate }) {
+    _getReportsQuery({ status, usedCampaign, startDate, endDate }) {
         const query = {};
-        const now = new Date();
-        const timezoneOffset = now.getTimezoneOffset() / 60;
 
         if (status) query.status = { $in: status };
         if (usedCampaign) query.usedCampaign = { $in: usedCampaign };
         if (startDate && endDate) {
-            query.saleDate = {
-                $gte: this._updateHours(timezoneOffset, new Date(startDate)),
-                $lte: this._updateHours(timezoneOffset, new Date(endDate))
-            };
+            query.saleDate = { $gte: dateUtils.startOfDay(startDate), $lte: dateUtils.endOfDay(endDate) };
         } else if (startDate) {
-            query.saleDate = { $gte: this._updateHours(timezoneOffset, new Date(startDate)) };
+            query.saleDate = { $gte: dateUtils.startOfDay(startDate) };
         } else if (endDate) {
-            query.saleDate = { $lte: this._updateHours(timezoneOffset, new Date(endDate)) };
+            query.saleDate = { $lte: dateUtils.endOfDay(endDate) };
         }
 
-        const sales = await this._saleModel.find(query);
-        if (sales.length === 0) throw new Error('SALE_NOT_FOUND');
+        return query;
+    }
+
+    /**
+     * A função _getReportRows percorre as vendas do filtro com um cursor e gera uma linha do relatório para cada item,
+     * sem carregar todas as vendas em memória. onSale, se informado, é chamado depois de cada venda (usado para o progresso da exportação).
+     */
+    async *_getReportRows(query, onSale) {
+        const cursor = this._saleModel.find(query).sort({ _id: 1 }).lean().cursor({ batchSize: this._reportChunkSize });
 
-        const result = [];
+        for await (const sale of cursor) {
+            const totalPrice = sale.items.reduce((prev, cur) => (prev += cur.totalPrice), 0);
 
-        sales.forEach((sale) => {
-            sale.items.forEach((item) => {
-                const row = {
+            for (const item of sale.items) {
+                yield {
                     order: sale.order.number,
-                    totalPrice: sale.items.reduce((prev, cur) => (prev += cur.totalPrice), 0),
+                    totalPrice,
                     partnumber: item.partnumber,
                     productValue: item.unitPrice,
                     productCashBack: item.unitCashback,
@@ -866,55 +1992,738 @@ class SaleService extends BaseService {
                     saleDate: sale.saleDate,
                     expirateDate: sale.expirateDate
                 };
+            }
 
-                result.push(row);
-            });
-        });
-
-        return this._converterXLSXReport(result);
+            if (onSale) await onSale(sale);
+        }
     }
 
-    async reportUserMyCash(authorizationToken) {
-        const userMyCash = await this._myCashIntegration.getAllUsers(authorizationToken);
-        if (userMyCash.length === 0) throw new Error('USER_NOT_FOUND');
-
-        const resultMyCash = await Promise.all(
-            userMyCash.map(async (user) => {
-                const balanceAgg = await this._getBalance(user.cpf);
-
-                const row = {
-                    name: user.name,
-                    balance: (balanceAgg && balanceAgg.balance) || 0,
-                    email: user.email,
-                    gender: user.gender,
-                    cpf: user.cpf,
-                    dateOfBirthday: user.dateOfBirthday,
-                    acceptedNewsletter: user.acceptedNewsletter,
-                    acceptedTerms: user.acceptedTerms,
-                    dateDeletion: user.dateDeletion
-                };
+    /**
+     * A função _streamReportXLSX transforma as linhas do relatório em um stream XLSX com o WorkbookWriter do exceljs:
+     * cada linha é gravada no arquivo assim que lida, então nem a planilha nem as linhas ficam em memória.
+     * A cada REPORT_CHUNK_SIZE linhas a leitura espera o consumidor do stream, se ele estiver atrasado (ver _waitForDrain).
+     * Se o stream for fechado ou destruído pelo consumidor, a leitura para e o cursor das vendas é fechado.
+     */
+    _streamReportXLSX(rows) {
+        const output = new PassThrough();
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+            stream: output,
+            useStyles: false,
+            useSharedStrings: false
+        });
+        const worksheet = workbook.addWorksheet('Sheet1');
+        worksheet.columns = SALES_REPORT_COLUMNS.map((column) => ({ header: column, key: column }));
 
-                return row;
-            })
-        );
+        const write = async () => {
+            let count = 0;
 
-        return this._converterXLSXReport(resultMyCash);
-    }
+            for await (const row of rows) {
+                if (output.destroyed) return;
 
-    _converterXLSXReport(json) {
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.json_to_sheet(json);
+                worksheet.addRow(row).commit();
+                count += 1;
+                if (count % this._reportChunkSize === 0 && output.writableNeedDrain) {
+                    await this._waitForDrain(output);
+                    if (output.destroyed) return;
+                }
+            }
 
-        XLSX.utils.book_append_sheet(wb, ws, 'Sheet1');
+            worksheet.commit();
+            await workbook.commit();
+        };
 
-        const xlsx = XLSX.write(wb, { type: 'base64' });
+        write().catch((error) => output.destroy(error));
 
-        return Buffer.from(xlsx, 'base64');
+        return output;
     }
 
     /**
-     * A função userRegistered atualiza o campo userInMycash para true em todas as vendas cujo CPF seja igual ao valor passado como parâmetro cpf.
-     * Essa função é usada para marcar as vendas de um usuário que se registrou no serviço MyCash, indicando que essas vendas podem ser elegíveis para cashback ou outros benefícios oferecidos pela plataforma.
+     * A função _waitForDrain espera o evento drain do stream, mas também termina quando o stream é fechado (close),
+     * para que um consumidor que pare de ler e feche a conexão não deixe a geração parada para sempre. Um erro no stream rejeita a espera.
+     */
+    async _waitForDrain(stream) {
+        const controller = new AbortController();
+
+        try {
+            await Promise.race([
+                once(stream, 'drain', { signal: controller.signal }),
+                once(stream, 'close', { signal: controller.signal })
+            ]);
+        } finally {
+            controller.abort();
+        }
+    }
+
+    /**
+     * A função _streamReportCSV transforma as linhas do relatório em um stream CSV (cabeçalho com SALES_REPORT_COLUMNS),
+     * que pode ser enviado direto na resposta HTTP ou gravado no GridFS. Datas saem em ISO 8601 no fuso horário de negócio.
+     */
+    _streamReportCSV(rows) {
+        const toCell = (value) => {
+            if (value === undefined || value === null) return '';
+
+            const text = value instanceof Date ? dateUtils.formatISO(value) : String(value);
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        async function* lines() {
+            yield `${SALES_REPORT_COLUMNS.join(',')}\n`;
+
+            for await (const row of rows) {
+                yield `${SALES_REPORT_COLUMNS.map((column) => toCell(row[column])).join(',')}\n`;
+            }
+        }
+
+        return Readable.from(lines());
+    }
+
+    /**
+     * A função createReportExport registra uma exportação do relatório de vendas (PENDING), que é gerada depois pelo job processReportExports.
+     * Recebe os mesmos filtros de reports e o formato (XLSX ou CSV). Retorna a exportação criada;
+     * o andamento é consultado em getReportExport e o arquivo, quando pronto, em downloadReportExport.
+     */
+    async createReportExport({ status, usedCampaign, startDate, endDate, format = 'XLSX' }, createdBy) {
+        if (!REPORT_CONTENT_TYPES[format]) throw new Error('INVALID_REPORT_FORMAT');
+
+        return await this._reportExportModel.create({
+            format,
+            filters: _.omitBy({ status, usedCampaign, startDate, endDate }, _.isUndefined),
+            createdBy
+        });
+    }
+
+    /**
+     * A função processReportExports é o job que gera as exportações de relatório, das mais antigas para as mais novas.
+     * Cada exportação é reservada com findOneAndUpdate (PENDING, ou PROCESSING com a reserva mais antiga que REPORT_EXPORT_LOCK_MS),
+     * então duas instâncias do job não geram a mesma exportação e uma exportação interrompida (instância reiniciada no meio da geração) volta a ser gerada.
+     * A reserva é renovada a cada atualização de progresso. Depois de REPORT_EXPORT_MAX_ATTEMPTS reservas, a exportação vai para FAILED.
+     * Gera no máximo REPORT_EXPORT_BATCH_SIZE exportações por execução (uma, por padrão) e retorna quantas ficaram prontas e quantas falharam.
+     */
+    async processReportExports(now = new Date()) {
+        const result = { done: 0, failed: 0, errors: [] };
+        const staleLock = new Date(now.getTime() - this._reportExportLockMs);
+
+        for (let i = 0; i < this._reportExportBatchSize; i++) {
+            const reportExport = await this._reportExportModel.findOneAndUpdate(
+                { $or: [{ status: 'PENDING' }, { status: 'PROCESSING', lockedAt: { $lt: staleLock } }] },
+                { $set: { status: 'PROCESSING', lockedAt: new Date() }, $inc: { attempts: 1 } },
+                { sort: { createdAt: 1 }, new: true }
+            );
+
+            if (!reportExport) break;
+
+            if (reportExport.attempts > this._reportExportMaxAttempts) {
+                await this._reportExportModel.updateOne(
+                    { _id: reportExport._id, status: 'PROCESSING', lockedAt: reportExport.lockedAt },
+                    {
+                        $set: { status: 'FAILED', error: 'REPORT_EXPORT_MAX_ATTEMPTS', finishedAt: new Date() },
+                        $unset: { lockedAt: '' }
+                    }
+                );
+
+                result.failed += 1;
+                result.errors.push({ reportExport: reportExport._id, error: 'REPORT_EXPORT_MAX_ATTEMPTS' });
+                continue;
+            }
+
+            try {
+                await this._runReportExport(reportExport);
+                result.done += 1;
+            } catch (error) {
+                console.error(`Erro ao gerar a exportação de relatório ${reportExport._id}: ${error.message}`);
+
+                result.failed += 1;
+                result.errors.push({ reportExport: reportExport._id, error: error.message });
+            }
+        }
+
+        return { success: true, ...result };
+    }
+
+    /**
+     * A função _runReportExport gera o arquivo de uma exportação reservada por processReportExports e grava no GridFS,
+     * atualizando o progresso (processed/total) e renovando a reserva (lockedAt) a cada bloco de REPORT_CHUNK_SIZE vendas.
+     * As atualizações só valem enquanto a reserva for desta execução: se outra instância tiver assumido a exportação, a geração é interrompida (REPORT_EXPORT_LOCK_LOST).
+     * Em caso de erro, o arquivo parcial é apagado e a exportação fica FAILED com a mensagem do erro.
+     */
+    async _runReportExport(reportExport) {
+        const query = this._getReportsQuery(reportExport.filters);
+        const fileName = `sales_report_${dateUtils.format(
+            new Date(),
+            'yyyyMMddHHmmss'
+        )}.${reportExport.format.toLowerCase()}`;
+        let lockedAt = reportExport.lockedAt;
+        let uploadStream;
+
+        const update = async ($set, $unset) => {
+            const { matchedCount } = await this._reportExportModel.updateOne(
+                { _id: reportExport._id, status: 'PROCESSING', lockedAt },
+                _.omitBy({ $set, $unset }, _.isUndefined)
+            );
+            if (matchedCount < 1) throw new Error('REPORT_EXPORT_LOCK_LOST');
+        };
+
+        const renewLock = async ($set) => {
+            const renewedAt = new Date();
+            await update({ ...$set, lockedAt: renewedAt });
+            lockedAt = renewedAt;
+        };
+
+        try {
+            const total = await this._saleModel.countDocuments(query);
+
+            await renewLock({ total, processed: 0, fileName, startedAt: new Date() });
+
+            let processed = 0;
+            const rows = this._getReportRows(query, async () => {
+                processed += 1;
+                if (processed % this._reportChunkSize === 0) await renewLock({ processed });
+            });
+
+            const source = reportExport.format === 'CSV' ? this._streamReportCSV(rows) : this._streamReportXLSX(rows);
+
+            uploadStream = this._getReportExportBucket().openUploadStream(fileName, {
+                contentType: REPORT_CONTENT_TYPES[reportExport.format],
+                metadata: { reportExport: reportExport._id }
+            });
+
+            await promisify(pipeline)(source, uploadStream);
+
+            await update(
+                { status: 'DONE', processed, file: uploadStream.id, finishedAt: new Date() },
+                { lockedAt: '' }
+            );
+        } catch (error) {
+            if (uploadStream) {
+                await this._getReportExportBucket()
+                    .delete(uploadStream.id)
+                    .catch(() => {});
+            }
+
+            if (error.message !== 'REPORT_EXPORT_LOCK_LOST') {
+                await update(
+                    { status: 'FAILED', error: error.message, finishedAt: new Date() },
+                    { lockedAt: '' }
+                ).catch(() => {});
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * A função _getReportExportBucket retorna o bucket do GridFS onde ficam os arquivos das exportações de relatório.
+     */
+    _getReportExportBucket() {
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'report_exports' });
+    }
+
+    /**
+     * A função getReportExport retorna uma exportação de relatório com o progresso (progress, de 0 a 100).
+     */
+    async getReportExport(id) {
+        const reportExport = await this._reportExportModel.findById(id).lean();
+        if (!reportExport) throw new Error('REPORT_EXPORT_NOT_FOUND');
+
+        return {
+            ...reportExport,
+            progress:
+                reportExport.status === 'DONE'
+                    ? 100
+                    : Math.floor((reportExport.processed / (reportExport.total || 1)) * 100)
+        };
+    }
+
+    /**
+     * A função listReportExports lista as exportações de relatório, das mais recentes para as mais antigas.
+     */
+    async listReportExports({ status, createdBy, page = 1, limit = 20 }) {
+        const query = {};
+        if (status) query.status = status;
+        if (createdBy) query.createdBy = createdBy;
+
+        return await this._reportExportModel.paginate(query, { sort: { createdAt: 'desc' }, page, limit });
+    }
+
+    /**
+     * A função downloadReportExport retorna o arquivo de uma exportação finalizada como stream, junto com o nome e o tipo do arquivo.
+     * Se a exportação ainda não terminou, lança o erro REPORT_EXPORT_NOT_READY.
+     */
+    async downloadReportExport(id) {
+        const reportExport = await this._reportExportModel.findById(id);
+        if (!reportExport) throw new Error('REPORT_EXPORT_NOT_FOUND');
+        if (reportExport.status !== 'DONE') throw new Error('REPORT_EXPORT_NOT_READY');
+
+        return {
+            fileName: reportExport.fileName,
+            contentType: REPORT_CONTENT_TYPES[reportExport.format],
+            stream: this._getReportExportBucket().openDownloadStream(reportExport.file)
+        };
+    }
+
+    /**
+     * A função campaignAnalytics retorna o desempenho das campanhas, agrupado pelas campanhas aplicadas na venda (appliedCampaigns, ou usedCampaign nas vendas antigas).
+     * Uma venda com campanhas acumuladas conta em cada uma delas, com o cashback, os itens elegíveis e os lançamentos do ledger daquela campanha:
+     * volume: quantidade de vendas, CPFs únicos e receita dos itens elegíveis;
+     * cashback (em centavos): gerado (totalCashback das vendas), liberado, resgatado e expirado (pelo ledger) e cancelado (vendas canceladas);
+     * redemptionRate: resgatado / liberado, e averageDaysToRedeem: média de dias entre a liberação e o primeiro resgate de cada venda;
+     * rejections: os motivos que mais reprovaram a campanha, somando as campanhas inválidas das vendas geradas (invalidCampaigns)
+     * e das vendas recebidas que não se encaixaram em nenhuma campanha.
+     * Filtros: período da venda (startDate/endDate, dias no fuso horário de negócio), canal (salesChannel), filial (subsidiary = order.origin) e campanha.
+     */
+    async campaignAnalytics({ startDate, endDate, salesChannel, subsidiary, usedCampaign } = {}) {
+        const match = { usedCampaign: { $exists: true, $ne: null } };
+        const saleDate = {};
+
+        if (startDate) saleDate.$gte = dateUtils.startOfDay(startDate);
+        if (endDate) saleDate.$lte = dateUtils.endOfDay(endDate);
+        if (!_.isEmpty(saleDate)) match.saleDate = saleDate;
+        if (salesChannel) match.salesChannel = salesChannel;
+        if (subsidiary) match['order.origin'] = subsidiary;
+        if (usedCampaign) match.$or = [{ usedCampaign }, { 'appliedCampaigns.code': usedCampaign }];
+
+        const campaignLedger = (cond) => ({
+            $filter: {
+                input: '$ledger',
+                as: 'entry',
+                cond: { $and: [{ $eq: ['$$entry.campaign', '$appliedCampaign.code'] }, cond] }
+            }
+        });
+        const sumLedger = (cond) => ({
+            $sum: { $map: { input: campaignLedger(cond), as: 'entry', in: '$$entry.value' } }
+        });
+        const firstLedgerDate = (type) => ({
+            $min: { $map: { input: campaignLedger({ $eq: ['$$entry.type', type] }), as: 'entry', in: '$$entry.date' } }
+        });
+
+        const campaignsAgg = await this._saleModel
+            .aggregate([
+                { $match: match },
+                { $lookup: { from: 'cashback_ledger', localField: '_id', foreignField: 'sale', as: 'ledger' } },
+                {
+                    $project: {
+                        cpf: 1,
+                        status: 1,
+                        items: 1,
+                        ledger: 1,
+                        appliedCampaign: {
+                            $cond: [
+                                { $gt: [{ $size: { $ifNull: ['$appliedCampaigns', []] } }, 0] },
+                                '$appliedCampaigns',
+                                [{ code: '$usedCampaign', totalCashback: '$totalCashback' }]
+                            ]
+                        }
+                    }
+                },
+                { $unwind: '$appliedCampaign' },
+                ...(usedCampaign ? [{ $match: { 'appliedCampaign.code': usedCampaign } }] : []),
+                {
+                    $project: {
+                        usedCampaign: '$appliedCampaign.code',
+                        cpf: 1,
+                        totalCashback: { $ifNull: ['$appliedCampaign.totalCashback', 0] },
+                        canceledCashback: {
+                            $cond: [
+                                { $in: ['$status', CANCELED_SALE_STATUSES] },
+                                { $ifNull: ['$appliedCampaign.totalCashback', 0] },
+                                0
+                            ]
+                        },
+                        eligibleRevenue: {
+                            $sum: {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: '$items',
+                                            as: 'item',
+                                            cond: {
+                                                $cond: [
+                                                    {
+                                                        $gt: [
+                                                            { $size: { $ifNull: ['$$item.campaignsCashback', []] } },
+                                                            0
+                                                        ]
+                                                    },
+                                                    {
+                                                        $in: [
+                                                            '$appliedCampaign.code',
+                                                            '$$item.campaignsCashback.campaign'
+                                                        ]
+                                                    },
+                                                    { $eq: ['$$item.eligible', true] }
+                                                ]
+                                            }
+                                        }
+                                    },
+                                    as: 'item',
+                                    in: '$$item.totalPrice'
+                                }
+                            }
+                        },
+                        released: sumLedger({ $eq: ['$$entry.type', 'CREDIT'] }),
+                        redeemed: sumLedger({
+                            $or: [
+                                { $eq: ['$$entry.type', 'DEBIT'] },
+                                { $and: [{ $eq: ['$$entry.type', 'REVERSAL'] }, { $gt: ['$$entry.value', 0] }] }
+                            ]
+                        }),
+                        expired: sumLedger({ $eq: ['$$entry.type', 'EXPIRATION'] }),
+                        releasedAt: firstLedgerDate('CREDIT'),
+                        firstRedeemedAt: firstLedgerDate('DEBIT')
+                    }
+                },
+                {
+                    $group: {
+                        _id: { campaign: '$usedCampaign', cpf: '$cpf' },
+                        salesCount: { $sum: 1 },
+                        eligibleRevenue: { $sum: '$eligibleRevenue' },
+                        granted: { $sum: '$totalCashback' },
+                        released: { $sum: '$released' },
+                        redeemed: { $sum: { $multiply: ['$redeemed', -1] } },
+                        expired: { $sum: { $multiply: ['$expired', -1] } },
+                        canceled: { $sum: '$canceledCashback' },
+                        timeToRedeem: {
+                            $sum: {
+                                $cond: [
+                                    { $and: ['$releasedAt', '$firstRedeemedAt'] },
+                                    { $subtract: ['$firstRedeemedAt', '$releasedAt'] },
+                                    0
+                                ]
+                            }
+                        },
+                        redeemedSales: { $sum: { $cond: [{ $and: ['$releasedAt', '$firstRedeemedAt'] }, 1, 0] } }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$_id.campaign',
+                        salesCount: { $sum: '$salesCount' },
+                        uniqueCpfs: { $sum: 1 },
+                        eligibleRevenue: { $sum: '$eligibleRevenue' },
+                        granted: { $sum: '$granted' },
+                        released: { $sum: '$released' },
+                        redeemed: { $sum: '$redeemed' },
+                        expired: { $sum: '$expired' },
+                        canceled: { $sum: '$canceled' },
+                        timeToRedeem: { $sum: '$timeToRedeem' },
+                        redeemedSales: { $sum: '$redeemedSales' }
+                    }
+                }
+            ])
+            .allowDiskUse(true);
+
+        const rejections = await this._getCampaignRejections({
+            match,
+            saleDate,
+            salesChannel,
+            subsidiary,
+            usedCampaign
+        });
+
+        const codes = _.uniq([
+            ...campaignsAgg.map((campaignAgg) => campaignAgg._id),
+            ...rejections.map((rejection) => rejection.campaign)
+        ]);
+
+        const campaigns = codes.map((code) => {
+            const campaignAgg = campaignsAgg.find((c) => c._id === code) || {};
+            const released = campaignAgg.released || 0;
+            const redeemed = campaignAgg.redeemed || 0;
+
+            return {
+                campaign: code,
+                salesCount: campaignAgg.salesCount || 0,
+                uniqueCpfs: campaignAgg.uniqueCpfs || 0,
+                eligibleRevenue: campaignAgg.eligibleRevenue || 0,
+                cashback: {
+                    granted: campaignAgg.granted || 0,
+                    released,
+                    redeemed,
+                    expired: campaignAgg.expired || 0,
+                    canceled: campaignAgg.canceled || 0
+                },
+                redemptionRate: released > 0 ? _.round(redeemed / released, 4) : 0,
+                averageDaysToRedeem: campaignAgg.redeemedSales
+                    ? _.round(campaignAgg.timeToRedeem / campaignAgg.redeemedSales / (24 * 60 * 60 * 1000), 2)
+                    : null,
+                rejections: _.orderBy(
+                    rejections
+                        .filter((rejection) => rejection.campaign === code)
+                        .map(({ reason, count }) => ({ reason, count })),
+                    ['count'],
+                    ['desc']
+                )
+            };
+        });
+
+        return {
+            campaigns: _.orderBy(campaigns, ['cashback.granted', 'salesCount'], ['desc', 'desc']),
+            rejections: _.orderBy(
+                _.map(_.groupBy(rejections, 'reason'), (reasonRejections, reason) => ({
+                    reason,
+                    count: _.sumBy(reasonRejections, 'count')
+                })),
+                ['count'],
+                ['desc']
+            )
+        };
+    }
+
+    /**
+     * A função _getCampaignRejections conta, por campanha e motivo, as reprovações das regras das campanhas.
+     * Soma as campanhas inválidas das vendas que geraram cashback por outra campanha (invalidCampaigns)
+     * e as das vendas recebidas que não se encaixaram em nenhuma campanha (reason.campaigns), com os mesmos filtros de campaignAnalytics.
+     * Vendas recebidas com data (data.verification) inválida não quebram a agregação: ficam sem data e fora dos filtros de período.
+     */
+    async _getCampaignRejections({ match, saleDate, salesChannel, subsidiary, usedCampaign }) {
+        const receivedMatch = { 'reason.campaigns.0': { $exists: true } };
+        const verification = {
+            $convert: { input: '$data.verification', to: 'date', onError: null, onNull: null }
+        };
+        const verificationConditions = [];
+
+        if (saleDate.$gte) verificationConditions.push({ $gte: [verification, saleDate.$gte] });
+        if (saleDate.$lte) verificationConditions.push({ $lte: [verification, saleDate.$lte] });
+        if (verificationConditions.length > 0) receivedMatch.$expr = { $and: verificationConditions };
+        if (salesChannel) receivedMatch['data.salesChannel'] = salesChannel;
+        if (subsidiary) receivedMatch['data.order.origin'] = subsidiary;
+
+        const campaignMatch = usedCampaign ? [{ $match: { 'rejection.campaign': usedCampaign } }] : [];
+        const groupRejections = {
+            $group: {
+                _id: { campaign: '$rejection.campaign', reason: '$rejection.reason' },
+                count: { $sum: 1 }
+            }
+        };
+
+        const [salesRejections, receivedSalesRejections] = await Promise.all([
+            this._saleModel
+                .aggregate([
+                    { $match: { ..._.omit(match, ['usedCampaign', '$or']), 'invalidCampaigns.0': { $exists: true } } },
+                    { $project: { rejection: '$invalidCampaigns' } },
+                    { $unwind: '$rejection' },
+                    ...campaignMatch,
+                    groupRejections
+                ])
+                .allowDiskUse(true),
+            this._receivedSaleModel
+                .aggregate([
+                    { $match: receivedMatch },
+                    { $project: { rejection: '$reason.campaigns' } },
+                    { $unwind: '$rejection' },
+                    ...campaignMatch,
+                    groupRejections
+                ])
+                .allowDiskUse(true)
+        ]);
+
+        return _.map(
+            _.groupBy([...salesRejections, ...receivedSalesRejections], (r) => `${r._id.campaign}|${r._id.reason}`),
+            (group) => ({
+                campaign: group[0]._id.campaign,
+                reason: group[0]._id.reason,
+                count: _.sumBy(group, 'count')
+            })
+        );
+    }
+
+    async reportUserMyCash(authorizationToken) {
+        const userMyCash = await this._myCashIntegration.getAllUsers(authorizationToken);
+        if (userMyCash.length === 0) throw new Error('USER_NOT_FOUND');
+
+        const resultMyCash = await Promise.all(
+            userMyCash.map(async (user) => {
+                const balanceAgg = await this._getBalance(user.cpf);
+
+                const row = {
+                    name: user.name,
+                    balance: (balanceAgg && balanceAgg.balance) || 0,
+                    email: user.email,
+                    gender: user.gender,
+                    cpf: user.cpf,
+                    dateOfBirthday: user.dateOfBirthday,
+                    acceptedNewsletter: user.acceptedNewsletter,
+                    acceptedTerms: user.acceptedTerms,
+                    dateDeletion: user.dateDeletion
+                };
+
+                return row;
+            })
+        );
+
+        return this._converterXLSXReport(resultMyCash);
+    }
+
+    /**
+     * A função _converterXLSXReport converte linhas JSON em um arquivo XLSX (Buffer).
+     * Recebe uma lista de linhas (uma planilha Sheet1) ou um objeto { nomeDaPlanilha: linhas } para gerar várias planilhas.
+     */
+    _converterXLSXReport(json) {
+        const wb = XLSX.utils.book_new();
+        const sheets = Array.isArray(json) ? { Sheet1: json } : json;
+
+        _.forEach(sheets, (rows, name) => {
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name);
+        });
+
+        const xlsx = XLSX.write(wb, { type: 'base64' });
+
+        return Buffer.from(xlsx, 'base64');
+    }
+
+    /**
+     * A função liabilityReport mostra o passivo de cashback e quanto dele deve expirar sem uso (breakage).
+     * O passivo é o saldo ainda disponível nas vendas AVAILABLE (pelo ledger, como em _getCloseToExpire) mais o cashback das vendas PENDING,
+     * separado por campanha e por mês de expiração (no fuso horário de negócio).
+     * A taxa de breakage de cada campanha vem do histórico do ledger: expirado / (expirado + resgatado); campanhas sem histórico usam a taxa geral.
+     * Para cada mês, projectedBreakage é o passivo vezes a taxa da campanha e projectedCost é o que deve ser resgatado (passivo - breakage).
+     * Com format = 'XLSX', o relatório é exportado com uma planilha para os meses, uma para as campanhas e uma para o detalhe por campanha e mês.
+     */
+    async liabilityReport({ format } = {}) {
+        const month = { $dateToString: { format: '%Y-%m', date: '$expirateDate', timezone: dateUtils.TIME_ZONE } };
+
+        const [availableAgg, pendingAgg, historyAgg] = await Promise.all([
+            this._cashbackLedgerModel
+                .aggregate([
+                    { $group: { _id: '$sale', value: { $sum: '$value' } } },
+                    { $match: { value: { $gt: 0 } } },
+                    { $lookup: { from: 'sales', localField: '_id', foreignField: '_id', as: 'sale' } },
+                    { $unwind: '$sale' },
+                    { $match: { 'sale.status': 'AVAILABLE' } },
+                    { $project: { value: 1, campaign: '$sale.usedCampaign', expirateDate: '$sale.expirateDate' } },
+                    { $group: { _id: { campaign: '$campaign', month }, value: { $sum: '$value' } } }
+                ])
+                .allowDiskUse(true),
+            this._saleModel
+                .aggregate([
+                    { $match: { status: 'PENDING', usedCashback: { $ne: true } } },
+                    {
+                        $group: {
+                            _id: { campaign: '$usedCampaign', month },
+                            value: { $sum: { $ifNull: ['$totalCashback', 0] } }
+                        }
+                    }
+                ])
+                .allowDiskUse(true),
+            this._cashbackLedgerModel.aggregate([
+                {
+                    $group: {
+                        _id: '$campaign',
+                        released: { $sum: { $cond: [{ $eq: ['$type', 'CREDIT'] }, '$value', 0] } },
+                        expired: {
+                            $sum: { $cond: [{ $eq: ['$type', 'EXPIRATION'] }, { $multiply: ['$value', -1] }, 0] }
+                        },
+                        redeemed: {
+                            $sum: {
+                                $cond: [
+                                    {
+                                        $or: [
+                                            { $eq: ['$type', 'DEBIT'] },
+                                            { $and: [{ $eq: ['$type', 'REVERSAL'] }, { $gt: ['$value', 0] }] }
+                                        ]
+                                    },
+                                    { $multiply: ['$value', -1] },
+                                    0
+                                ]
+                            }
+                        }
+                    }
+                }
+            ])
+        ]);
+
+        const breakageRate = ({ expired, redeemed }) =>
+            expired + redeemed > 0 ? _.round(expired / (expired + redeemed), 4) : null;
+        const overallBreakageRate =
+            breakageRate({ expired: _.sumBy(historyAgg, 'expired'), redeemed: _.sumBy(historyAgg, 'redeemed') }) || 0;
+
+        const getBreakageRate = (campaign) => {
+            const history = historyAgg.find((h) => h._id === campaign);
+            const rate = history ? breakageRate(history) : null;
+
+            return rate === null ? overallBreakageRate : rate;
+        };
+
+        const details = _.map(
+            _.groupBy(
+                [
+                    ...availableAgg.map((a) => ({ ...a._id, available: a.value, pending: 0 })),
+                    ...pendingAgg.map((p) => ({ ...p._id, available: 0, pending: p.value }))
+                ],
+                (row) => `${row.campaign}|${row.month}`
+            ),
+            (rows) => {
+                const available = _.sumBy(rows, 'available');
+                const pending = _.sumBy(rows, 'pending');
+                const rate = getBreakageRate(rows[0].campaign);
+                const projectedBreakage = Math.round((available + pending) * rate);
+
+                return {
+                    campaign: rows[0].campaign,
+                    month: rows[0].month,
+                    available,
+                    pending,
+                    outstanding: available + pending,
+                    breakageRate: rate,
+                    projectedBreakage,
+                    projectedCost: available + pending - projectedBreakage
+                };
+            }
+        );
+
+        const sumRows = (rows) => ({
+            available: _.sumBy(rows, 'available'),
+            pending: _.sumBy(rows, 'pending'),
+            outstanding: _.sumBy(rows, 'outstanding'),
+            projectedBreakage: _.sumBy(rows, 'projectedBreakage'),
+            projectedCost: _.sumBy(rows, 'projectedCost')
+        });
+
+        const months = _.sortBy(
+            _.map(_.groupBy(details, 'month'), (rows, month) => ({ month, ...sumRows(rows) })),
+            'month'
+        );
+
+        const campaigns = _.orderBy(
+            _.uniq([...details.map((row) => row.campaign), ...historyAgg.map((h) => h._id)]).map((campaign) => {
+                const history = historyAgg.find((h) => h._id === campaign) || {};
+
+                return {
+                    campaign,
+                    ...sumRows(details.filter((row) => row.campaign === campaign)),
+                    released: history.released || 0,
+                    redeemed: history.redeemed || 0,
+                    expired: history.expired || 0,
+                    historicalBreakageRate: history._id !== undefined ? breakageRate(history) : null,
+                    breakageRate: getBreakageRate(campaign)
+                };
+            }),
+            ['outstanding'],
+            ['desc']
+        );
+
+        if (format === 'XLSX') {
+            return this._converterXLSXReport({
+                months,
+                campaigns,
+                details: _.sortBy(details, ['month', 'campaign'])
+            });
+        }
+
+        return {
+            timeZone: dateUtils.TIME_ZONE,
+            overallBreakageRate,
+            totals: sumRows(months),
+            months,
+            campaigns,
+            details
+        };
+    }
+
+    /**
+     * A função userRegistered atualiza o campo userInMycash para true em todas as vendas cujo CPF seja igual ao valor passado como parâmetro cpf.
+     * Essa função é usada para marcar as vendas de um usuário que se registrou no serviço MyCash, indicando que essas vendas podem ser elegíveis para cashback ou outros benefícios oferecidos pela plataforma.
      */
     async userRegistered({ cpf }) {
         return await this._saleModel.updateMany({ cpf }, { $set: { userInMycash: true } });
@@ -923,278 +2732,1842 @@ class SaleService extends BaseService {
     /**
      * A função cancel cancela uma venda, podendo ser uma venda que teve o cashback utilizado ou uma venda que gerou cashback disponível.
      * Antes de cancelar, a função verifica se a venda existe e se ela pode ser cancelada de acordo com o status atual (não pode cancelar uma venda que já foi cancelada, nem uma venda que está disponível ou expirada).
-     * Se a venda tiver cashback utilizado, a função cria um histórico com as vendas que tiveram o cashback usado e remove o cashback usado da venda em questão.
-     * Em seguida, atualiza o status da venda para 'CANCELADO'.
-     * Se o usuário estiver cadastrado no serviço Dito, a função cria um evento informando sobre o cancelamento e o saldo atual de cashback do usuário.
-     * Se a venda não tiver cashback utilizado, a função atualiza o status da venda para 'CANCELADO' e remove informações de cashback da venda.
-     * Se o usuário estiver cadastrado no serviço Dito, a função cria um evento informando sobre o cancelamento e o valor total de cashback que seria gerado.
+     * Vendas disponíveis ou expiradas só podem ser canceladas com a opção clawback, que estorna o cashback já liberado (ver _cancelWithClawback).
+     * Se a venda tiver cashback utilizado, a função atualiza o status da venda para 'CANCELADO' e lança no ledger um estorno (REVERSAL) para cada venda de onde o cashback foi usado, devolvendo o valor ao saldo do cliente.
+     * O valor usado de vendas expiradas não é devolvido. O valor usado de vendas que já foram canceladas é devolvido na venda AVAILABLE do cliente com a expiração mais distante,
+     * já que _useCashback só consome saldo de vendas AVAILABLE; sem nenhuma venda AVAILABLE, esse valor é devolvido por _refundCashbackUseWithoutSale.
+     * Nesse caso, o evento da Dito informa o cancelamento e o saldo atual de cashback do usuário.
+     * Se a venda não tiver cashback utilizado, a função atualiza o status da venda para 'CANCELADO', remove informações de cashback da venda e devolve o orçamento reservado pelas campanhas.
+     * Nesse caso, o evento da Dito informa o cancelamento e o valor total de cashback que seria gerado.
+     * Os eventos são gravados no outbox na mesma transação do cancelamento e entregues por dispatchOutbox.
      */
-    async cancel(id) {
+    async cancel(id, { clawback = false } = {}) {
         const sale = await this._saleModel.findOne({ _id: id });
         if (!sale) throw new Error('SALE_NOT_FOUND');
-        if (sale.status === 'CANCELED') return;
+        if (CANCELED_SALE_STATUSES.includes(sale.status)) return;
+        if (clawback && ['AVAILABLE', 'EXPIRED'].includes(sale.status)) return await this._cancelWithClawback(sale);
         if (sale.status === 'AVAILABLE') throw new Error('CANT_CANCEL_AVAILABLE_SALE');
         if (sale.status === 'EXPIRED') throw new Error('CANT_CANCEL_EXPIRED_SALE');
 
         if (sale.usedCashback) {
-            const history = _.cloneDeep(sale.history);
+            await this._withTransaction(async (session) => {
+                const canceledSale = await this._saleModel.findOneAndUpdate(
+                    { _id: id, status: { $ne: 'CANCELED' } },
+                    { $set: { status: 'CANCELED' } },
+                    { new: true, session }
+                );
+
+                if (!canceledSale) return;
+
+                const history = _.cloneDeep(sale.history);
+                const sourceSales = await this._saleModel.find(
+                    {
+                        _id: { $in: history.map((h) => h.saleId) },
+                        status: { $ne: 'EXPIRED' }
+                    },
+                    {},
+                    { session }
+                );
+
+                const usedValue = (sourceSale) =>
+                    history
+                        .filter((h) => String(h.saleId) === String(sourceSale._id))
+                        .reduce((prev, cur) => (prev += cur.usedValue), 0);
+                const reversal = (sourceSale, targetSale, description) =>
+                    this._splitLedgerEntry(
+                        {
+                            cpf: sale.cpf,
+                            type: 'REVERSAL',
+                            value: usedValue(sourceSale),
+                            sale: targetSale._id,
+                            reference: { sale: sale._id, invoiceKey: sale.invoiceKey },
+                            description
+                        },
+                        targetSale
+                    );
+
+                const availableSources = sourceSales.filter((sourceSale) => sourceSale.status === 'AVAILABLE');
+                const canceledSources = sourceSales.filter((sourceSale) => sourceSale.status !== 'AVAILABLE');
+                const refundSale =
+                    canceledSources.length > 0
+                        ? await this._saleModel.findOne(
+                              { cpf: sale.cpf, status: 'AVAILABLE' },
+                              {},
+                              { sort: { expirateDate: -1 }, session }
+                          )
+                        : null;
+
+                if (canceledSources.length > 0 && !refundSale) {
+                    await this._refundCashbackUseWithoutSale(
+                        {
+                            cpf: sale.cpf,
+                            value: _.sumBy(canceledSources, usedValue),
+                            reference: { sale: sale._id, invoiceKey: sale.invoiceKey },
+                            description: 'CANCELED_CASHBACK_USE_FROM_CANCELED_SALE'
+                        },
+                        session
+                    );
+                }
+
+                await this._addLedgerEntries(
+                    [
+                        ...availableSources.flatMap((sourceSale) =>
+                            reversal(sourceSale, sourceSale, 'CANCELED_CASHBACK_USE')
+                        ),
+                        ...(refundSale
+                            ? canceledSources.flatMap((sourceSale) =>
+                                  reversal(sourceSale, refundSale, 'CANCELED_CASHBACK_USE_FROM_CANCELED_SALE')
+                              )
+                            : [])
+                    ],
+                    session
+                );
+
+                await this._saleModel.updateMany(
+                    { _id: { $in: sourceSales.map((sourceSale) => sourceSale._id) } },
+                    { $pull: { cashbackUseHistory: { saleId: mongoose.Types.ObjectId(id) } } },
+                    { session }
+                );
+
+                await this._syncSalesCashback(
+                    [...sourceSales, ...(refundSale ? [refundSale] : [])].map((sourceSale) => sourceSale._id),
+                    session
+                );
+
+                const balanceAgg = await this._getBalance(sale.cpf, session);
+                const balance = (balanceAgg && balanceAgg.balance) || 0;
+
+                await this._enqueueOutboxMessages(
+                    this._createDitoMessages(sale.customer.id, sale.customer, {
+                        sale: sale._id,
+                        balance,
+                        action: 'cancelou_utilizacao_cashback',
+                        data: {
+                            cancelou_utilizacao_cashback_valor: (sale.usedCashbackValue / 100).toFixed(2),
+                            cancelou_utilizacao_cashback_data: dateUtils.formatISO(new Date()),
+                            ...this._getDitoBalanceData(balance)
+                        }
+                    }),
+                    session
+                );
+            });
+        } else {
+            await this._withTransaction(async (session) => {
+                const { matchedCount } = await this._saleModel.updateOne(
+                    { _id: id, status: sale.status },
+                    {
+                        $set: { status: 'CANCELED' },
+                        $unset: { creditDate: '', expirateDate: '', availableCashback: '', budgetReservations: '' }
+                    },
+                    { session }
+                );
+
+                if (matchedCount !== 1) throw new Error('SALE_CHANGED_DURING_CANCEL');
+
+                await this._releaseCampaignsBudget(sale.budgetReservations, session);
+
+                await this._enqueueOutboxMessages(
+                    this._createDitoMessages(sale.customer.id, sale.customer, {
+                        sale: sale._id,
+                        action: 'cancelou_geracao_cashback',
+                        data: {
+                            cancelou_geracao_cashback_valor: (sale.totalCashback / 100).toFixed(2),
+                            cancelou_geracao_cashback_data: dateUtils.formatISO(new Date())
+                        }
+                    }),
+                    session
+                );
+            });
+        }
+    }
+
+    /**
+     * A função _refundCashbackUseWithoutSale devolve ao CPF um valor de cashback utilizado quando não há venda AVAILABLE para receber o estorno.
+     * O valor paga primeiro as dívidas em aberto do CPF, da mais antiga para a mais nova, como em _settleCashbackDebts; o que sobrar fica no saldo do CPF.
+     * Os lançamentos não têm venda, como os ajustes de adjustCashback sem saleId: o estorno (REVERSAL) do valor todo e um DEBT_SETTLEMENT para cada dívida paga.
+     * Retorna quanto pagou de dívidas e quanto ficou no saldo.
+     */
+    async _refundCashbackUseWithoutSale({ cpf, value, reference, description }, session) {
+        if (!value) return { settledDebts: 0, refunded: 0 };
+
+        const debts = await this._cashbackDebtModel.find(
+            { cpf, status: 'OPEN' },
+            {},
+            { sort: { createdAt: 1 }, session }
+        );
+        const entries = [{ cpf, type: 'REVERSAL', value, reference, description }];
+        let available = value;
+
+        for (const debt of debts) {
+            if (!available) break;
+
+            const paid = Math.min(debt.remainingValue, available);
+            const remainingValue = debt.remainingValue - paid;
+
+            await this._cashbackDebtModel.updateOne(
+                { _id: debt._id },
+                {
+                    $set: { remainingValue, status: remainingValue > 0 ? 'OPEN' : 'PAID' },
+                    $push: { payments: { sale: reference.sale, value: paid, date: new Date() } }
+                },
+                { session }
+            );
+
+            entries.push({
+                cpf,
+                type: 'DEBT_SETTLEMENT',
+                value: -paid,
+                reference: { sale: debt.sale, invoiceKey: reference.invoiceKey },
+                description: String(debt._id)
+            });
+
+            available -= paid;
+        }
+
+        await this._addLedgerEntries(entries, session);
+
+        return { settledDebts: value - available, refunded: available };
+    }
+
+    /**
+     * A função _cancelWithClawback cancela uma venda cujo cashback já foi liberado (AVAILABLE) ou expirou (EXPIRED), estornando o que o cliente recebeu.
+     * O saldo que ainda está na venda é estornado no ledger. O que o cliente já utilizou é retirado do restante do seu saldo
+     * e, se não houver saldo suficiente, vira uma dívida que será paga pelos próximos créditos liberados.
+     * A venda termina em um dos status:
+     * CANCELED: nada do cashback tinha sido utilizado;
+     * CLAWED_BACK: parte do cashback tinha sido utilizada e foi retirada do restante do saldo do cliente;
+     * CANCELED_WITH_DEBT: parte do valor utilizado não pôde ser retirada e foi registrada como dívida.
+     */
+    async _cancelWithClawback(sale) {
+        return await this._withTransaction(async (session) => {
+            const [movementsAgg] = await this._cashbackLedgerModel
+                .aggregate([
+                    { $match: { sale: sale._id } },
+                    {
+                        $group: {
+                            _id: '$sale',
+                            balance: { $sum: '$value' },
+                            spent: {
+                                $sum: {
+                                    $cond: [
+                                        {
+                                            $or: [
+                                                { $in: ['$type', ['DEBIT', 'DEBT_SETTLEMENT']] },
+                                                { $and: [{ $eq: ['$type', 'REVERSAL'] }, { $gt: ['$value', 0] }] }
+                                            ]
+                                        },
+                                        { $multiply: ['$value', -1] },
+                                        0
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                ])
+                .session(session);
+
+            const reference = { sale: sale._id, invoiceKey: sale.invoiceKey };
+            const clawback = {
+                remaining: Math.max((movementsAgg && movementsAgg.balance) || 0, 0),
+                spent: Math.max((movementsAgg && movementsAgg.spent) || 0, 0),
+                recoveredFromBalance: 0,
+                debt: 0,
+                date: new Date()
+            };
+
+            const { matchedCount } = await this._saleModel.updateOne(
+                { _id: sale._id, status: sale.status },
+                { $set: { status: 'CANCELED', availableCashback: 0 } },
+                { session }
+            );
+
+            if (matchedCount !== 1) throw new Error('SALE_CHANGED_DURING_CANCEL');
+
+            if (clawback.remaining > 0) {
+                await this._addLedgerEntries(
+                    this._splitLedgerEntry(
+                        {
+                            cpf: sale.cpf,
+                            type: 'REVERSAL',
+                            value: -clawback.remaining,
+                            sale: sale._id,
+                            reference,
+                            description: 'CANCELED_SALE_CLAWBACK'
+                        },
+                        sale
+                    ),
+                    session
+                );
+            }
+
+            if (clawback.spent > 0) {
+                const { clawedBack, shortfall } = await this._clawbackCashback(
+                    { cpf: sale.cpf, value: clawback.spent, reference, description: 'CANCELED_SALE_CLAWBACK' },
+                    session
+                );
+
+                clawback.recoveredFromBalance = clawedBack;
+                clawback.debt = shortfall;
+
+                if (shortfall > 0) {
+                    await this._createCashbackDebt(
+                        { cpf: sale.cpf, saleId: sale._id, value: shortfall, reason: 'CANCELED_SALE' },
+                        session
+                    );
+                }
+            }
+
+            let status = 'CANCELED';
+            if (clawback.debt > 0) status = 'CANCELED_WITH_DEBT';
+            else if (clawback.spent > 0) status = 'CLAWED_BACK';
+
+            await this._releaseCampaignsBudget(sale.budgetReservations, session);
+
+            const canceledSale = await this._saleModel.findByIdAndUpdate(
+                sale._id,
+                { $set: { status, clawback }, $unset: { budgetReservations: '' } },
+                { new: true, session }
+            );
+
+            const balanceAgg = await this._getBalance(sale.cpf, session);
+            const balance = (balanceAgg && balanceAgg.balance) || 0;
+
+            await this._enqueueOutboxMessages(
+                this._createDitoMessages(sale.customer.id, sale.customer, {
+                    sale: sale._id,
+                    balance,
+                    action: 'cancelou_geracao_cashback',
+                    data: {
+                        cancelou_geracao_cashback_valor: (sale.totalCashback / 100).toFixed(2),
+                        cancelou_geracao_cashback_data: dateUtils.formatISO(new Date()),
+                        estornou_cashback_valor: ((clawback.remaining + clawback.recoveredFromBalance) / 100).toFixed(
+                            2
+                        ),
+                        divida_cashback_valor: (clawback.debt / 100).toFixed(2),
+                        ...this._getDitoBalanceData(balance)
+                    }
+                }),
+                session
+            );
+
+            return canceledSale;
+        });
+    }
+
+    /**
+     * A função returnItems registra a devolução de parte dos itens de uma venda que gerou cashback.
+     * Ela recebe o ID da venda e a lista de itens devolvidos no formato [{ partnumber, quantity }].
+     * O cashback é recalculado para os itens que ficaram com as mesmas regras das campanhas aplicadas na venda (appliedCampaigns ou usedCampaign), incluindo cashbackLimit e minSaleValue.
+     * As regras usadas são as do snapshot gravado na venda (campaignSnapshots), e não a versão atual da campanha.
+     * Se a venda ainda estiver PENDING, apenas o totalCashback é reduzido, já que nada foi creditado.
+     * Se o cashback já foi liberado (AVAILABLE), a diferença é estornada no ledger, primeiro do saldo da própria venda e depois do restante do saldo do cliente.
+     * O que não puder ser estornado fica registrado como unrecoveredCashback na devolução e vira uma dívida de cashback do CPF.
+     * O orçamento reservado pelas campanhas (budgetReservations) é reduzido para o novo cashback de cada campanha e a diferença volta aos contadores.
+     * Quando a devolução reduz o cashback, o evento devolveu_produtos_cashback da Dito é gravado no outbox na mesma transação.
+     * Retorna a venda atualizada.
+     */
+    async returnItems(saleId, returnedItems) {
+        const sale = await this._withTransaction(async (session) => {
+            const sale = await this._saleModel.findOne({ _id: saleId }, {}, { session });
+            if (!sale) throw new Error('SALE_NOT_FOUND');
+            if (sale.usedCashback || !['PENDING', 'AVAILABLE'].includes(sale.status))
+                throw new Error(`CANT_RETURN_${sale.status}_SALE`);
+
+            const items = _.cloneDeep(sale.toObject().items);
+
+            returnedItems.forEach(({ partnumber, quantity }) => {
+                let remaining = quantity;
+
+                items
+                    .filter((item) => item.partnumber === partnumber)
+                    .forEach((item) => {
+                        const returned = Math.min(item.quantity - (item.returnedQuantity || 0), remaining);
+                        item.returnedQuantity = (item.returnedQuantity || 0) + returned;
+                        remaining -= returned;
+                    });
+
+                if (!quantity || quantity < 0 || remaining > 0) throw new Error('INVALID_RETURN_ITEMS');
+            });
+
+            const { totalCashback: recalculatedCashback, appliedCampaigns } = await this._recalculateCampaignsCashback(
+                sale,
+                items
+            );
+
+            const totalCashback = Math.min(recalculatedCashback, sale.totalCashback);
+
+            const { budgetReservations: reservations = [] } = sale.toObject();
+            const budgetReservations = reservations.map((reservation) => {
+                const appliedCampaign = appliedCampaigns.find((c) => c.code === reservation.campaign);
+                const value = appliedCampaign
+                    ? Math.min(reservation.value, appliedCampaign.totalCashback)
+                    : reservation.value;
+
+                return { ...reservation, value };
+            });
+
+            await this._releaseCampaignsBudget(
+                reservations.map((reservation, index) => ({
+                    ...reservation,
+                    value: reservation.value - budgetReservations[index].value
+                })),
+                session
+            );
+
+            const saleReturn = {
+                items: returnedItems,
+                previousCashback: sale.totalCashback,
+                totalCashback,
+                returnedCashback: sale.totalCashback - totalCashback,
+                clawedBack: 0,
+                unrecoveredCashback: 0,
+                date: new Date()
+            };
+
+            if (sale.status === 'AVAILABLE' && saleReturn.returnedCashback > 0) {
+                const { clawedBack, shortfall } = await this._clawbackCashback(
+                    {
+                        cpf: sale.cpf,
+                        value: saleReturn.returnedCashback,
+                        saleId: sale._id,
+                        reference: { sale: sale._id, invoiceKey: sale.invoiceKey },
+                        description: 'RETURNED_ITEMS'
+                    },
+                    session
+                );
+
+                saleReturn.clawedBack = clawedBack;
+                saleReturn.unrecoveredCashback = shortfall;
+
+                if (shortfall > 0) {
+                    await this._createCashbackDebt(
+                        { cpf: sale.cpf, saleId: sale._id, value: shortfall, reason: 'RETURNED_ITEMS' },
+                        session
+                    );
+                }
+            }
+
+            const { matchedCount } = await this._saleModel.updateOne(
+                { _id: sale._id, status: sale.status, totalCashback: sale.totalCashback },
+                {
+                    $set: { items, totalCashback, appliedCampaigns, budgetReservations },
+                    $push: { returns: saleReturn }
+                },
+                { session }
+            );
+
+            if (matchedCount !== 1) throw new Error('SALE_CHANGED_DURING_RETURN');
+
+            if (saleReturn.returnedCashback > 0) {
+                const balanceAgg = await this._getBalance(sale.cpf, session);
+                const balance = (balanceAgg && balanceAgg.balance) || 0;
+
+                await this._enqueueOutboxMessages(
+                    this._createDitoMessages(sale.customer.id, sale.customer, {
+                        sale: sale._id,
+                        balance,
+                        action: 'devolveu_produtos_cashback',
+                        data: {
+                            devolveu_produtos_cashback_valor: (saleReturn.returnedCashback / 100).toFixed(2),
+                            devolveu_produtos_cashback_data: dateUtils.formatISO(saleReturn.date),
+                            ...this._getDitoBalanceData(balance)
+                        }
+                    }),
+                    session
+                );
+            }
+
+            return sale;
+        });
+
+        return await this._saleModel.findById(sale._id);
+    }
+
+    /**
+     * A função _recalculateCampaignsCashback recalcula o cashback de uma venda para as quantidades que ainda não foram devolvidas (quantity - returnedQuantity).
+     * Cada campanha aplicada na venda é recalculada separadamente com _calculateSaleCashback, respeitando minSaleValue, e o resultado é somado por item, como em _combineCampaignSales.
+     * Nenhuma campanha pode passar do cashback que já tinha na venda: nas campanhas limitadas pelo orçamento (budgetCapped), o recálculo pelas regras
+     * daria o valor de antes do limite. Quando alguma campanha é limitada, o cashback das campanhas é redistribuído entre as quantidades que ficaram
+     * por _allocateAppliedCampaignsCashback, como na reserva do orçamento.
+     * Os itens recebidos são atualizados com o novo cashback; a função retorna o novo total e a lista appliedCampaigns com os novos valores por campanha.
+     */
+    async _recalculateCampaignsCashback(sale, items) {
+        const codes =
+            sale.appliedCampaigns && sale.appliedCampaigns.length > 0
+                ? sale.appliedCampaigns.map((appliedCampaign) => appliedCampaign.code)
+                : [sale.usedCampaign];
+
+        const remainingItems = () =>
+            items.map((item) => ({
+                ..._.cloneDeep(item),
+                quantity: item.quantity - (item.returnedQuantity || 0),
+                totalPrice: item.unitPrice * (item.quantity - (item.returnedQuantity || 0))
+            }));
+
+        const campaignsSales = [];
+
+        for (const code of codes) {
+            const campaign = await this._getSaleCampaign(sale, code);
+            const remainingSale = { usedCampaign: code, items: remainingItems(), totalCashback: 0 };
+
+            const hasEligibleItems = remainingSale.items.some(
+                (item) => item.quantity > 0 && item.matchedCampaigns.includes(code)
+            );
+
+            if (hasEligibleItems && this._checkMinSaleValueRule(campaign, remainingSale)) {
+                this._calculateSaleCashback(campaign, remainingSale);
+            } else {
+                remainingSale.items.forEach((item) => {
+                    item.eligible = item.matchedCampaigns.includes(code);
+                    if (item.eligible) {
+                        item.unitCashback = 0;
+                        item.totalCashback = 0;
+                    }
+                });
+            }
+
+            campaignsSales.push(remainingSale);
+        }
+
+        items.forEach((item, index) => {
+            const campaignsCashback = campaignsSales
+                .filter((campaignSale) => campaignSale.items[index].eligible)
+                .map((campaignSale) => ({
+                    campaign: campaignSale.usedCampaign,
+                    unitCashback: campaignSale.items[index].unitCashback,
+                    totalCashback: campaignSale.items[index].totalCashback
+                }));
+
+            if (campaignsSales.length > 1 && campaignsCashback.length > 0) {
+                item.campaignsCashback = campaignsCashback;
+                item.unitCashback = _.sumBy(campaignsCashback, (c) => c.unitCashback || 0);
+                item.totalCashback = _.sumBy(campaignsCashback, (c) => c.totalCashback || 0);
+            } else if (campaignsSales.length > 1) {
+                item.campaignsCashback = [];
+                delete item.unitCashback;
+                delete item.totalCashback;
+            } else {
+                if (item.campaignsCashback) item.campaignsCashback = campaignsCashback;
+                item.unitCashback = campaignsSales[0].items[index].unitCashback;
+                item.totalCashback = campaignsSales[0].items[index].totalCashback;
+            }
+        });
+
+        const previousCampaigns =
+            sale.appliedCampaigns && sale.appliedCampaigns.length > 0
+                ? sale.appliedCampaigns.map((appliedCampaign) =>
+                      appliedCampaign.toObject ? appliedCampaign.toObject() : appliedCampaign
+                  )
+                : [{ code: sale.usedCampaign, totalCashback: sale.totalCashback }];
+
+        const cappedCampaigns = previousCampaigns.map((appliedCampaign) => {
+            const campaignSale = campaignsSales.find((c) => c.usedCampaign === appliedCampaign.code);
+            return {
+                ...appliedCampaign,
+                totalCashback: Math.min(campaignSale.totalCashback, appliedCampaign.totalCashback || 0)
+            };
+        });
+
+        if (
+            campaignsSales.some(
+                (campaignSale, index) => campaignSale.totalCashback > cappedCampaigns[index].totalCashback
+            )
+        ) {
+            const cappedSale = { items: remainingItems(), appliedCampaigns: cappedCampaigns };
+            this._allocateAppliedCampaignsCashback(cappedSale);
+
+            items.forEach((item, index) => {
+                if (!item.eligible) return;
+
+                item.unitCashback = cappedSale.items[index].unitCashback;
+                item.totalCashback = cappedSale.items[index].totalCashback;
+                if (cappedCampaigns.length > 1) item.campaignsCashback = cappedSale.items[index].campaignsCashback;
+            });
+        }
+
+        return {
+            totalCashback: _.sumBy(cappedCampaigns, 'totalCashback'),
+            appliedCampaigns: sale.appliedCampaigns && sale.appliedCampaigns.length > 0 ? cappedCampaigns : []
+        };
+    }
+
+    /**
+     * A função _clawbackCashback estorna do saldo do cliente um valor de cashback já liberado, lançando REVERSAL no ledger.
+     * O valor sai primeiro da venda informada em saleId e, se não for suficiente, das demais vendas AVAILABLE do CPF,
+     * na mesma ordem usada na utilização de cashback. Retorna quanto foi estornado e quanto faltou (shortfall).
+     */
+    async _clawbackCashback({ cpf, value, saleId, reference, description }, session) {
+        const salesCashback = await this._getSalesCashback({ cpf }, session);
+
+        const { sales } = this._sortSalesForRedemption(
+            await this._saleModel.find(
+                { _id: { $in: Object.keys(salesCashback) }, status: 'AVAILABLE' },
+                {},
+                { session }
+            )
+        );
+
+        let remaining = value;
+        const entries = [];
+
+        for (const source of _.sortBy(sales, (source) => (String(source._id) === String(saleId) ? 0 : 1))) {
+            if (!remaining) break;
+
+            const amount = Math.min(salesCashback[source._id], remaining);
+
+            entries.push(
+                ...this._splitLedgerEntry(
+                    { cpf, type: 'REVERSAL', value: -amount, sale: source._id, reference, description },
+                    source
+                )
+            );
+
+            await this._saleModel.updateOne(
+                { _id: source._id, status: 'AVAILABLE' },
+                { $set: { availableCashback: salesCashback[source._id] - amount } },
+                { session }
+            );
+
+            remaining -= amount;
+        }
+
+        await this._addLedgerEntries(entries, session);
+
+        return { clawedBack: value - remaining, shortfall: remaining };
+    }
+
+    /**
+     * A função _getCampaignByCode procura a campanha com o código informado entre as campanhas em vigor na data (_getCampaignsForDate),
+     * lidas do cache de campanhas com todas as páginas da integração, que não filtra por código.
+     * Retorna uma cópia, já que as campanhas do cache são compartilhadas. Se a campanha não for encontrada, lança o erro CAMPAIGN_NOT_FOUND.
+     */
+    async _getCampaignByCode(code, date) {
+        const campaign = (await this._getCampaignsForDate(date)).find((c) => c.code === code);
+
+        if (!campaign) throw new Error('CAMPAIGN_NOT_FOUND');
+
+        return _.cloneDeep(campaign);
+    }
+
+    /**
+     * Essa função tem como objetivo marcar uma venda como integrada, definindo o campo "integrated" como verdadeiro.
+     * Para isso, é realizada uma busca por uma venda com o id informado e, caso ela exista, é atualizado o seu campo "integrated" para true.
+     * Em seguida, a venda atualizada é retornada. Caso a venda não seja encontrada, é lançada uma exceção com a mensagem 'SALE_NOT_FOUND'.
+     */
+    async integrate(id) {
+        const sale = await this._saleModel.findOneAndUpdate({ _id: id }, { $set: { integrated: true } }, { new: true });
+        if (!sale) throw new Error('SALE_NOT_FOUND');
+        return sale;
+    }
+
+    /**
+     * A função update é responsável por atualizar uma venda no banco de dados.
+     * Ela recebe como parâmetro um objeto contendo as informações a serem atualizadas e o id da venda a ser atualizada.
+     * Internamente, a função utiliza a função findOneAndUpdate do MongoDB para buscar e atualizar a venda no banco de dados.
+     * O primeiro parâmetro da função findOneAndUpdate é um objeto que define o filtro para encontrar a venda a ser atualizada (nesse caso, o filtro é pelo id).
+     * O segundo parâmetro é um objeto contendo as informações a serem atualizadas.
+     * Por fim, o terceiro parâmetro é um objeto de opções que especifica que a função deve retornar a nova versão do documento atualizado ({ new: true }) e que a função não deve criar um novo documento caso não encontre um documento correspondente ao filtro ({ upsert: false }).
+     * Se a venda não for encontrada, a função lança um erro informando que a venda não foi encontrada. Caso contrário, a função retorna a venda atualizada.
+     */
+    async update(updateData, id) {
+        const sale = await this._saleModel.findOneAndUpdate(
+            { _id: id },
+            { $set: { ...updateData } },
+            { new: true, upsert: false }
+        );
+        if (!sale) throw new Error('SALE_NOT_FOUND');
+        return sale;
+    }
+
+    async list({ cpf, integrated, status, page = 1, limit = 20, period, invoiceKey, id, usedCashback }) {
+        const query = {};
+        if (cpf) query.cpf = cpf;
+        if (id) query._id = id;
+        if (usedCashback) query.usedCashback = Boolean(usedCashback);
+        if (_.isBoolean(integrated)) query.integrated = Boolean(integrated);
+        if (status) query.status = status;
+        if (invoiceKey) query.invoiceKey = invoiceKey;
+        if (period) query.saleDate = this._getPeriodQuery(period);
+
+        return await this._saleModel.paginate(query, { sort: { saleDate: 'asc' }, page, limit });
+    }
+
+    /**
+     * A função simulateCashback realiza uma simulação de cashback para uma determinada venda passada como parâmetro simulateData.
+     * Primeiro, ela recupera todas as campanhas ativas através da função _getActivesCampaigns.
+     * Em seguida, calcula o cashback para as campanhas válidas e inválidas através da função _calculeCashback, retornando duas listas: validCampaigns e invalidCampaigns.
+     * Posteriormente, a função verifica se o usuário que realizou a venda está na lista de usuários banidos através da função isUserInBannedList.
+     * Caso esteja, a função retorna um erro.
+     * Após essa verificação, a função encontra a venda com a melhor campanha através da função _findSaleWithBetterCampaign e marca os itens elegíveis com base na campanha utilizada pela função _markEligibleItemsBasedOnUsedCampaign.
+     * Por fim, a função retorna a venda com a melhor campanha, a lista de campanhas inválidas e uma lista de vendas com outras campanhas que também ofereceram cashback para essa venda.
+     * O authorizationToken é usado para consultar o cliente no MyCash quando alguma campanha tiver regras de cliente (customerRules).
+     */
+    async simulateCashback(simulateData, authorizationToken) {
+        const campaigns = await this._getActivesCampaigns();
+
+        const { validCampaigns: campaignsWithCashback, invalidCampaigns } = await this._calculeCashback(
+            campaigns,
+            simulateData,
+            simulateData.customerId,
+            null,
+            authorizationToken
+        );
+
+        const { exist: isUserInBannedList } = await this._myCashIntegration.isUserInBannedList(simulateData.customerId);
+
+        if (isUserInBannedList) {
+            throw new Error('USER_FOUND_BANNEDLIST');
+        }
+
+        const saleWithBetterCampaign = this._findSaleWithBetterCampaign(campaignsWithCashback);
+
+        this._markEligibleItemsBasedOnUsedCampaign(saleWithBetterCampaign);
+
+        return {
+            ...saleWithBetterCampaign,
+            invalidCampaigns,
+            saleWithOtherCampaigns: campaignsWithCashback.map((sale) => {
+                return {
+                    usedCampaign: sale.usedCampaign,
+                    creditDate: sale.creditDate,
+                    expirateDate: sale.expirateDate,
+                    totalCashback: sale.totalCashback
+                };
+            })
+        };
+    }
+
+    async _findOrCreateDitoUser(cpf, { email, name, phone }) {
+        if (!cpf) return null;
+        let user = await this._ditoUsersIntegration.getUser(cpf);
+        if (!user) {
+            user = await this._ditoUsersIntegration.createUser(cpf, { cpf, email, name, phone });
+        }
+        return user;
+    }
+
+    /**
+     * A função _getDitoBalanceData monta os atributos de saldo de cashback usados nos eventos e no cadastro do usuário na Dito.
+     */
+    _getDitoBalanceData(balance) {
+        return {
+            saldo_cashback_valor: (balance / 100).toFixed(2),
+            saldo_cashback_data: dateUtils.formatISO(new Date())
+        };
+    }
+
+    /**
+     * A função _createDitoMessages monta as mensagens do outbox para a Dito: a atualização do saldo no cadastro do usuário (DITO_USER), quando balance é informado,
+     * e o evento action (DITO_EVENT), quando informado.
+     * Com customer, o usuário é buscado (ou criado) na Dito antes da entrega; sem customer, o cadastro é atualizado direto pelo CPF.
+     */
+    _createDitoMessages(cpf, customer, { sale, balance, action, data } = {}) {
+        const payloadCustomer = customer ? _.pick(customer, ['name', 'email', 'phone']) : undefined;
+        const reference = sale ? { sale } : undefined;
+        const messages = [];
+
+        if (balance !== undefined) {
+            messages.push({
+                type: 'DITO_USER',
+                cpf,
+                reference,
+                payload: { customer: payloadCustomer, data: this._getDitoBalanceData(balance) }
+            });
+        }
+
+        if (action) {
+            messages.push({ type: 'DITO_EVENT', cpf, reference, payload: { customer: payloadCustomer, action, data } });
+        }
+
+        return messages;
+    }
+
+    /**
+     * A função _enqueueOutboxMessages grava mensagens no outbox (OutboxMessage) para serem entregues por dispatchOutbox.
+     * Com session, as mensagens fazem parte da transação que alterou a venda: só existem se a alteração for confirmada e nunca ficam para trás se ela for desfeita.
+     */
+    async _enqueueOutboxMessages(messages, session) {
+        const now = new Date();
+        const docs = _.castArray(messages)
+            .filter(Boolean)
+            .map((message) => ({ ...message, status: 'PENDING', attempts: 0, nextAttemptAt: now }));
+
+        if (docs.length < 1) return [];
+
+        return await this._outboxMessageModel.insertMany(docs, { session });
+    }
+
+    /**
+     * A função dispatchOutbox é o job que entrega as mensagens do outbox (e-mails e eventos/cadastro da Dito), em ordem de criação.
+     * Cada mensagem é reservada com findOneAndUpdate (PENDING com nextAttemptAt vencido, ou PROCESSING com a reserva mais antiga que OUTBOX_LOCK_MS),
+     * então duas instâncias do job não entregam a mesma mensagem ao mesmo tempo.
+     * Se a entrega falhar, a mensagem volta para PENDING com backoff exponencial (OUTBOX_RETRY_BASE_MS até OUTBOX_RETRY_MAX_MS)
+     * e, depois de OUTBOX_MAX_ATTEMPTS tentativas, vai para FAILED, onde aparece em listOutboxMessages.
+     * Processa no máximo OUTBOX_BATCH_SIZE mensagens por execução e retorna quantas foram enviadas, ignoradas, reagendadas e com falha.
+     */
+    async dispatchOutbox(authorizationToken, now = new Date()) {
+        const result = { sent: 0, skipped: 0, retrying: 0, failed: 0, errors: [] };
+        const staleLock = new Date(now.getTime() - this._outboxLockMs);
+
+        for (let i = 0; i < this._outboxBatchSize; i++) {
+            const message = await this._outboxMessageModel.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                        { status: 'PROCESSING', lockedAt: { $lt: staleLock } }
+                    ]
+                },
+                { $set: { status: 'PROCESSING', lockedAt: new Date() }, $inc: { attempts: 1 } },
+                { sort: { createdAt: 1 }, new: true }
+            );
+
+            if (!message) break;
+
+            try {
+                const status = await this._deliverOutboxMessage(message, authorizationToken);
+
+                await this._outboxMessageModel.updateOne(
+                    { _id: message._id, status: 'PROCESSING' },
+                    { $set: { status, sentAt: new Date() }, $unset: { lockedAt: '', lastError: '' } }
+                );
+
+                result[status === 'SENT' ? 'sent' : 'skipped'] += 1;
+            } catch (error) {
+                const failed = message.attempts >= this._outboxMaxAttempts;
+                console.error(`Erro ao entregar mensagem ${message._id} (${message.type}) do outbox: ${error.message}`);
+
+                await this._outboxMessageModel.updateOne(
+                    { _id: message._id, status: 'PROCESSING' },
+                    {
+                        $set: {
+                            status: failed ? 'FAILED' : 'PENDING',
+                            lastError: error.message,
+                            nextAttemptAt: failed
+                                ? null
+                                : this._getNextAttemptAt(
+                                      message.attempts,
+                                      now,
+                                      this._outboxRetryBaseMs,
+                                      this._outboxRetryMaxMs
+                                  )
+                        },
+                        $unset: { lockedAt: '' }
+                    }
+                );
+
+                result[failed ? 'failed' : 'retrying'] += 1;
+                result.errors.push({ message: message._id, type: message.type, error: error.message });
+            }
+        }
+
+        return { success: true, ...result };
+    }
+
+    /**
+     * A função _deliverOutboxMessage entrega uma mensagem do outbox e retorna o status final:
+     * SENT quando a integração foi chamada ou SKIPPED quando o cliente não tem cadastro no MyCash (e-mails) ou na Dito.
+     * O destinatário dos e-mails é o usuário do MyCash no momento da entrega. Para não enviar e-mails de verdade fora de produção, use o modo sandbox (integration_registry).
+     * Qualquer erro das integrações é repassado para dispatchOutbox agendar uma nova tentativa.
+     */
+    async _deliverOutboxMessage(message, authorizationToken) {
+        const { customer, action, template, data } = message.payload;
+
+        if (message.type === 'EMAIL') {
+            const user = await this._myCashIntegration.getUserByCpf(message.cpf, authorizationToken);
+            if (!user) return 'SKIPPED';
+
+            await this._notificationsIntegration.sendEmail(template, { to: user.email, name: user.firstName, ...data });
+            return 'SENT';
+        }
+
+        if (customer && !(await this._findOrCreateDitoUser(message.cpf, customer))) return 'SKIPPED';
+
+        if (message.type === 'DITO_USER') await this._ditoUsersIntegration.updateUser(message.cpf, data);
+        else await this._ditoEventsIntegration.createEvent(message.cpf, action, data);
+
+        return 'SENT';
+    }
+
+    /**
+     * A função listOutboxMessages lista as mensagens do outbox para acompanhamento das entregas, por padrão as que falharam (FAILED),
+     * das mais recentes para as mais antigas. Pode ser filtrada por status, tipo (EMAIL, DITO_EVENT ou DITO_USER) e CPF.
+     */
+    async listOutboxMessages({ status = 'FAILED', type, cpf, page = 1, limit = 50 } = {}) {
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (cpf) query.cpf = cpf;
+
+        return await this._outboxMessageModel.paginate(query, {
+            page: Number(page),
+            limit: Number(limit),
+            sort: { createdAt: -1 },
+            lean: true
+        });
+    }
+
+    /**
+     * A função retryOutboxMessages devolve para a fila (PENDING) as mensagens do outbox que falharam, por exemplo depois que uma integração voltou ao ar.
+     * As mensagens podem ser filtradas pelos IDs; o contador de tentativas é zerado e elas são entregues na próxima execução de dispatchOutbox.
+     */
+    async retryOutboxMessages({ ids, status = 'FAILED' } = {}) {
+        if (!['FAILED', 'SKIPPED'].includes(status)) throw new Error('INVALID_OUTBOX_MESSAGE_STATUS');
+
+        const query = { status };
+        if (ids) query._id = { $in: ids };
+
+        const { modifiedCount } = await this._outboxMessageModel.updateMany(query, {
+            $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+            $unset: { lockedAt: '', lastError: '' }
+        });
+
+        return { success: true, requeued: modifiedCount };
+    }
+
+    _translateCampaignStatus(status) {
+        const statusMap = {
+            READY: 'pronta',
+            PENDENT: 'pendente',
+            INACTIVE: 'inativa',
+            ACTIVE: 'ativa',
+            EXPIRED: 'expirada'
+        };
+
+        return statusMap[status] || status;
+    }
+
+    /**
+     * A função create recebe uma venda da integração e gera o cashback dela.
+     * A venda é registrada como ReceivedSale de forma idempotente pela chave da nota (invoice.key) ou, na falta dela, pelo número do pedido + origem,
+     * então reenviar a mesma venda não cria um novo registro nem um novo cashback:
+     * se ela já foi processada, a venda gerada é retornada; se foi rejeitada ou esgotou as tentativas, o mesmo erro é lançado novamente.
+     * Uma venda em FAILED_RETRYABLE só é reprocessada quando a próxima tentativa (nextAttemptAt) já chegou; antes disso, o reenvio lança SALE_RETRY_SCHEDULED
+     * e a venda fica para processUnprocessedSales.
+     * Retorna a venda criada.
+     */
+    async create(createData, authorizationToken) {
+        try {
+            const receivedSale = await this._receiveSale(createData);
+            const status = this._getReceivedSaleStatus(receivedSale);
+
+            if (status === 'PROCESSED') {
+                return receivedSale.sale
+                    ? await this._saleModel.findById(receivedSale.sale)
+                    : await this._saleModel.findOne({ receivedSale: receivedSale._id });
+            }
+
+            if (status === 'REJECTED' || status === 'DEAD_LETTER') {
+                const err = new Error(receivedSale.lastError ? receivedSale.lastError.message : 'SALE_REJECTED');
+                err.reasons = receivedSale.reason && receivedSale.reason.campaigns;
+                throw err;
+            }
+
+            if (status === 'PROCESSING' && !this._isReceivedSaleLockStale(receivedSale))
+                throw new Error('SALE_ALREADY_PROCESSING');
+
+            if (
+                status === 'FAILED_RETRYABLE' &&
+                receivedSale.nextAttemptAt &&
+                receivedSale.nextAttemptAt > new Date()
+            ) {
+                const err = new Error('SALE_RETRY_SCHEDULED');
+                err.nextAttemptAt = receivedSale.nextAttemptAt;
+                throw err;
+            }
+
+            return await this._processReceivedSale(receivedSale, authorizationToken);
+        } catch (error) {
+            if (error.name === 'ValidationError' && !!error._message) this._handleMongoError(error);
+            throw error;
+        }
+    }
+
+    async createAllSales(createData) {
+        try {
+            return await this._receiveSale(createData);
+        } catch (error) {
+            if (error.name === 'ValidationError' && !!error._message) this._handleMongoError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * A função _getSaleIdempotencyKey define a chave que identifica uma venda recebida: a chave da nota (invoice.key)
+     * ou, para vendas sem nota, o número do pedido junto com a origem (order.origin).
+     */
+    _getSaleIdempotencyKey(saleData) {
+        if (saleData.invoice && saleData.invoice.key) return saleData.invoice.key;
+        if (saleData.order && saleData.order.number) return `${saleData.order.number}:${saleData.order.origin}`;
+
+        throw new Error('SALE_WITHOUT_IDEMPOTENCY_KEY');
+    }
+
+    /**
+     * A função _receiveSale grava a venda recebida com status RECEIVED, ou retorna o registro já existente para a mesma chave de idempotência.
+     * Duas chamadas simultâneas com a mesma venda podem disputar o upsert; a que perder recebe erro de chave duplicada e lê o registro criado pela outra.
+     */
+    async _receiveSale(createData) {
+        const idempotencyKey = this._getSaleIdempotencyKey(createData);
+        const upsert = () =>
+            this._receivedSaleModel.findOneAndUpdate(
+                { idempotencyKey },
+                {
+                    $setOnInsert: {
+                        idempotencyKey,
+                        invoiceKey: createData.invoice && createData.invoice.key,
+                        cpf: createData.customer.id,
+                        data: createData,
+                        status: 'RECEIVED',
+                        processed: false,
+                        attempts: 0
+                    }
+                },
+                { upsert: true, new: true }
+            );
+
+        try {
+            return await upsert();
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return await this._receivedSaleModel.findOne({ idempotencyKey });
+        }
+    }
+
+    /**
+     * Registros antigos de ReceivedSale não possuem status, apenas o campo processed.
+     */
+    _getReceivedSaleStatus(receivedSale) {
+        return receivedSale.status || (receivedSale.processed ? 'PROCESSED' : 'RECEIVED');
+    }
+
+    /**
+     * A função _transitionReceivedSale move uma venda recebida para o status informado, desde que a transição seja permitida
+     * em RECEIVED_SALE_TRANSITIONS a partir do status atual gravado no banco. A atualização é condicional, então dois processos
+     * não conseguem pegar a mesma venda para processar ao mesmo tempo: o segundo recebe INVALID_RECEIVED_SALE_TRANSITION.
+     * Entrar em PROCESSING incrementa o contador de tentativas e grava a reserva do processamento (lockedAt); os estados finais (RECEIVED_SALE_FINAL_STATUSES) também marcam processed = true.
+     * Uma venda em PROCESSING só pode ser pega de novo quando a reserva tem mais de RECEIVED_SALE_LOCK_MS, e só quem tem a reserva atual consegue tirá-la de PROCESSING.
+     */
+    async _transitionReceivedSale(receivedSale, status, set = {}) {
+        const from = Object.keys(RECEIVED_SALE_TRANSITIONS).filter(
+            (key) => key !== 'PROCESSING' && RECEIVED_SALE_TRANSITIONS[key].includes(status)
+        );
+
+        const query = { _id: receivedSale._id, $or: [{ status: { $in: from } }] };
+        if (from.includes('RECEIVED')) query.$or.push({ status: { $exists: false }, processed: false });
+        if (status === 'PROCESSING') query.$or.push({ status: 'PROCESSING', ...this._getStaleReceivedSaleLockQuery() });
+        else if (RECEIVED_SALE_TRANSITIONS.PROCESSING.includes(status))
+            query.$or.push({ status: 'PROCESSING', lockedAt: receivedSale.lockedAt || null });
+
+        const update = {
+            $set: { ...set, status, processed: RECEIVED_SALE_FINAL_STATUSES.includes(status) }
+        };
+        if (status === 'PROCESSING') {
+            update.$set.lockedAt = new Date();
+            update.$inc = { attempts: 1 };
+        } else {
+            update.$unset = { lockedAt: '' };
+        }
+
+        const updatedReceivedSale = await this._receivedSaleModel.findOneAndUpdate(query, update, { new: true });
+        if (!updatedReceivedSale) throw new Error('INVALID_RECEIVED_SALE_TRANSITION');
+
+        return updatedReceivedSale;
+    }
+
+    /**
+     * A função _getStaleReceivedSaleLockQuery monta o filtro das vendas recebidas cuja reserva de processamento (lockedAt) venceu.
+     * Registros em PROCESSING gravados antes da reserva existir não têm lockedAt e também são considerados vencidos.
+     */
+    _getStaleReceivedSaleLockQuery(now = new Date()) {
+        return { lockedAt: { $not: { $gte: new Date(now.getTime() - this._receivedSaleLockMs) } } };
+    }
+
+    _isReceivedSaleLockStale(receivedSale, now = new Date()) {
+        return !receivedSale.lockedAt || receivedSale.lockedAt.getTime() < now.getTime() - this._receivedSaleLockMs;
+    }
+
+    /**
+     * A função _processReceivedSale leva uma venda recebida por todo o ciclo de processamento:
+     * PROCESSING enquanto o cashback é gerado, PROCESSED em caso de sucesso, REJECTED para erros definitivos (ver _isRetryableError)
+     * e FAILED_RETRYABLE para erros temporários, com a próxima tentativa agendada em nextAttemptAt (ver _getNextAttemptAt).
+     * Quando a venda atinge o número máximo de tentativas (RECEIVED_SALE_MAX_ATTEMPTS), ela vai para DEAD_LETTER.
+     * O último erro fica gravado em lastError; o motivo por campanha continua sendo gravado em reason por _calculeCashback.
+     */
+    async _processReceivedSale(receivedSale, authorizationToken) {
+        const processingSale = await this._transitionReceivedSale(receivedSale, 'PROCESSING');
+
+        try {
+            const sale = await this._generateCashback(processingSale, processingSale, authorizationToken);
+
+            await this._transitionReceivedSale(processingSale, 'PROCESSED', {
+                sale: sale._id,
+                lastError: null,
+                nextAttemptAt: null
+            });
+
+            return sale;
+        } catch (error) {
+            const retryable = this._isRetryableError(error);
+            const lastError = { message: error.message, retryable, date: new Date() };
+
+            if (!retryable) {
+                await this._transitionReceivedSale(processingSale, 'REJECTED', { lastError, nextAttemptAt: null });
+            } else if (processingSale.attempts >= this._receivedSaleMaxAttempts) {
+                await this._transitionReceivedSale(processingSale, 'DEAD_LETTER', { lastError, nextAttemptAt: null });
+            } else {
+                await this._transitionReceivedSale(processingSale, 'FAILED_RETRYABLE', {
+                    lastError,
+                    nextAttemptAt: this._getNextAttemptAt(processingSale.attempts)
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * A função _isRetryableError separa os erros que podem ser resolvidos com uma nova tentativa dos erros definitivos.
+     * São definitivos os erros de regra de negócio (RECEIVED_SALE_REJECTION_ERRORS), os erros de validação do mongoose
+     * e as respostas 4xx das integrações (exceto 408 e 429).
+     * São temporários os erros de rede e de disponibilidade do MongoDB, os conflitos de transação e as falhas de rede ou 5xx das integrações.
+     * Erros desconhecidos são tratados como temporários, já que o número de tentativas é limitado.
+     */
+    _isRetryableError(error) {
+        if (RECEIVED_SALE_REJECTION_ERRORS.includes(error.message)) return false;
+        if (error.name === 'ValidationError' || error.name === 'CastError') return false;
+
+        if (typeof error.hasErrorLabel === 'function') {
+            if (error.hasErrorLabel('TransientTransactionError') || error.hasErrorLabel('RetryableWriteError')) {
+                return true;
+            }
+        }
+
+        if (['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError'].includes(error.name)) {
+            return true;
+        }
+
+        if (['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code)) return true;
+
+        const status = error.response && error.response.status;
+        if (status) return status >= 500 || status === 408 || status === 429;
+
+        return true;
+    }
+
+    /**
+     * A função _getNextAttemptAt calcula quando uma venda que falhou deve ser tentada de novo, com backoff exponencial:
+     * RECEIVED_SALE_RETRY_BASE_MS depois da primeira tentativa, dobrando a cada tentativa até RECEIVED_SALE_RETRY_MAX_MS.
+     * O outbox usa o mesmo cálculo com os seus próprios limites (baseMs e maxMs).
+     */
+    _getNextAttemptAt(
+        attempts,
+        now = new Date(),
+        baseMs = this._receivedSaleRetryBaseMs,
+        maxMs = this._receivedSaleRetryMaxMs
+    ) {
+        const delay = Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+
+        return new Date(now.getTime() + delay);
+    }
+
+    /**
+     * A função _mapWithConcurrency executa fn para cada item da lista com no máximo concurrency execuções ao mesmo tempo,
+     * retornando os resultados na mesma ordem dos itens.
+     */
+    async _mapWithConcurrency(items, concurrency, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+        return results;
+    }
+
+    /**
+     * A função requeueReceivedSales devolve para a fila (RECEIVED) vendas que estão em DEAD_LETTER ou REJECTED,
+     * por exemplo depois de corrigir uma campanha ou uma integração que estava fora do ar.
+     * As vendas podem ser filtradas pelos IDs, pela mensagem do último erro ou pelo código de uma campanha que as rejeitou.
+     * O contador de tentativas é zerado e a venda volta a ser processada na próxima execução de processUnprocessedSales.
+     */
+    async requeueReceivedSales({ ids, statuses = ['DEAD_LETTER'], error, campaign } = {}) {
+        const allowedStatuses = statuses.filter((status) => RECEIVED_SALE_TRANSITIONS[status].includes('RECEIVED'));
+        if (allowedStatuses.length < 1) throw new Error('INVALID_RECEIVED_SALE_TRANSITION');
+
+        const query = { status: { $in: allowedStatuses } };
+        if (ids) query._id = { $in: ids };
+        if (error) query['lastError.message'] = error;
+        if (campaign) query['reason.campaigns.campaign'] = campaign;
+
+        const { modifiedCount } = await this._receivedSaleModel.updateMany(query, {
+            $set: { status: 'RECEIVED', processed: false, attempts: 0, nextAttemptAt: null, requeuedAt: new Date() }
+        });
+
+        return { success: true, requeued: modifiedCount };
+    }
+
+    /**
+     * A função processUnprocessedSales é responsável por processar as vendas recebidas que ainda não foram processadas.
+     * Ela busca um lote (RECEIVED_SALE_BATCH_SIZE) de vendas recebidas com status RECEIVED ou FAILED_RETRYABLE cuja próxima tentativa (nextAttemptAt) já chegou,
+     * além das vendas presas em PROCESSING com a reserva vencida (RECEIVED_SALE_LOCK_MS), que são retomadas,
+     * e processa até RECEIVED_SALE_CONCURRENCY vendas ao mesmo tempo. Para cada venda, passa pelo ciclo de _processReceivedSale: tenta calcular o cashback válido e inválido baseado nas campanhas ativas, encontrar a campanha que oferece o maior cashback total,
+     * marcar os itens elegíveis da venda com base na campanha usada, criar um histórico da fonte do cashback e do uso do cashback, atualizar a venda como processada e adicionar informações sobre a venda processada a um array processedSales.
+     * Ao final, a função retorna um objeto indicando se o processamento foi bem-sucedido e uma lista das vendas processadas com as informações adicionais mencionadas acima. Caso ocorra algum erro, a função trata o erro e o registra no array processedSales.
+     */
+    async processUnprocessedSales(authorizationToken, now = new Date()) {
+        try {
+            const unprocessedSales = await this._receivedSaleModel.find(
+                {
+                    $and: [
+                        {
+                            $or: [
+                                { status: { $in: ['RECEIVED', 'FAILED_RETRYABLE'] } },
+                                { status: { $exists: false }, processed: false },
+                                { status: 'PROCESSING', ...this._getStaleReceivedSaleLockQuery(now) }
+                            ]
+                        },
+                        { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] }
+                    ]
+                },
+                {},
+                { sort: { createdAt: 1 }, limit: this._receivedSaleBatchSize }
+            );
+
+            const processedSales = await this._mapWithConcurrency(
+                unprocessedSales,
+                this._receivedSaleConcurrency,
+                async (processSale) => {
+                    try {
+                        const sales = await this._processReceivedSale(processSale, authorizationToken);
+
+                        return {
+                            sale: sales
+                        };
+                    } catch (error) {
+                        if (error.message === 'INVALID_RECEIVED_SALE_TRANSITION') return null;
+                        console.error(`Erro ao processar venda ${processSale.idempotencyKey}: ${error.message}`);
+                        return { error: error.message, retryable: this._isRetryableError(error), sale: processSale };
+                    }
+                }
+            );
+
+            return { success: true, processedSales: processedSales.filter(Boolean) };
+        } catch (error) {
+            console.error(`Erro ao buscar vendas não processadas: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A função _forEachSalePage percorre as vendas que atendem à query em páginas de tamanho this._jobPageSize, ordenadas por _id.
+     * A paginação é feita pelo último _id lido (e não por skip), assim as vendas que mudam de status durante o job não fazem outras vendas serem puladas.
+     * Para cada venda encontrada, a função chama o handler informado, uma venda por vez.
+     */
+    async _forEachSalePage(query, handler) {
+        let lastId = null;
+
+        while (true) {
+            const page = await this._saleModel.find(
+                lastId ? { ...query, _id: { $gt: lastId } } : query,
+                {},
+                { sort: { _id: 1 }, limit: this._jobPageSize }
+            );
+
+            for (const sale of page) {
+                await handler(sale);
+            }
+
+            if (page.length < this._jobPageSize) break;
+            lastId = page[page.length - 1]._id;
+        }
+    }
+
+    /**
+     * A função releaseDueCashback é o job que libera o cashback das vendas PENDING cuja data de crédito (creditDate) já chegou.
+     * Cada venda só é atualizada se ainda estiver PENDING, então o job é idempotente: rodar duas vezes (ou em duas instâncias) não credita a mesma venda duas vezes.
+     * Ao liberar, o totalCashback da venda é lançado como crédito no ledger (uma única vez por venda) e o aviso ao cliente (e-mail e evento liberou_cashback da Dito) é gravado no outbox na mesma transação.
+     * Se o CPF tiver dívidas de cashback em aberto, o crédito liberado paga essas dívidas antes de ficar disponível (ver _settleCashbackDebts).
+     * Retorna a lista das vendas liberadas e das vendas que deram erro, no mesmo formato de processUnprocessedSales.
+     */
+    async releaseDueCashback(authorizationToken, now = new Date()) {
+        const releasedSales = [];
+
+        await this._forEachSalePage({ status: 'PENDING', creditDate: { $lte: now } }, async (sale) => {
+            try {
+                const releasedSale = await this._withTransaction(async (session) => {
+                    const releasedSale = await this._saleModel.findOneAndUpdate(
+                        { _id: sale._id, status: 'PENDING' },
+                        { $set: { status: 'AVAILABLE', releasedAt: now } },
+                        { new: true, session }
+                    );
+
+                    if (!releasedSale) return null;
+
+                    await this._addLedgerEntries(
+                        this._splitLedgerEntry(
+                            {
+                                cpf: releasedSale.cpf,
+                                type: 'CREDIT',
+                                value: releasedSale.totalCashback,
+                                sale: releasedSale._id,
+                                reference: { sale: releasedSale._id, invoiceKey: releasedSale.invoiceKey },
+                                date: now
+                            },
+                            releasedSale
+                        ),
+                        session
+                    );
+
+                    releasedSale.settledDebts = await this._settleCashbackDebts(releasedSale, session);
+
+                    const salesCashback = await this._syncSalesCashback([releasedSale._id], session);
+                    releasedSale.availableCashback = salesCashback[releasedSale._id] || 0;
+
+                    await this._notifyCashbackReleased(releasedSale, session);
+
+                    return releasedSale;
+                });
+
+                if (!releasedSale) return;
+
+                releasedSales.push({
+                    sale: releasedSale._id,
+                    value: releasedSale.availableCashback,
+                    settledDebts: releasedSale.settledDebts
+                });
+            } catch (error) {
+                console.error(`Erro ao liberar cashback da venda ${sale.invoiceKey}: ${error.message}`);
+                releasedSales.push({ error: error.message, sale: sale._id });
+            }
+        });
+
+        return { success: true, releasedSales };
+    }
+
+    /**
+     * A função expireDueCashback é o job que expira o cashback das vendas AVAILABLE cuja data de expiração (expirateDate) já passou.
+     * Assim como releaseDueCashback, a atualização só acontece se a venda ainda estiver AVAILABLE, o que mantém o job idempotente.
+     * O saldo que sobrou na venda é lançado no ledger como expiração e guardado em expiredCashback, tirando o valor do saldo calculado em _getBalance.
+     * O cliente só é notificado quando havia algum valor a expirar.
+     */
+    async expireDueCashback(authorizationToken, now = new Date()) {
+        const expiredSales = [];
+
+        await this._forEachSalePage({ status: 'AVAILABLE', expirateDate: { $lt: now } }, async (sale) => {
+            try {
+                const expiredSale = await this._withTransaction(async (session) => {
+                    const expiredSale = await this._saleModel.findOneAndUpdate(
+                        { _id: sale._id, status: 'AVAILABLE' },
+                        { $set: { status: 'EXPIRED', expiredAt: now } },
+                        { new: true, session }
+                    );
+
+                    if (!expiredSale) return null;
+
+                    const salesCashback = await this._getSalesCashback({ sale: expiredSale._id }, session);
+                    expiredSale.expiredCashback = salesCashback[expiredSale._id] || 0;
+
+                    await this._addLedgerEntries(
+                        this._splitLedgerEntry(
+                            {
+                                cpf: expiredSale.cpf,
+                                type: 'EXPIRATION',
+                                value: -expiredSale.expiredCashback,
+                                sale: expiredSale._id,
+                                reference: { sale: expiredSale._id, invoiceKey: expiredSale.invoiceKey },
+                                date: now
+                            },
+                            expiredSale
+                        ),
+                        session
+                    );
+
+                    await this._saleModel.updateOne(
+                        { _id: expiredSale._id },
+                        { $set: { expiredCashback: expiredSale.expiredCashback, availableCashback: 0 } },
+                        { session }
+                    );
+
+                    if (expiredSale.expiredCashback > 0) await this._notifyCashbackExpired(expiredSale, session);
+
+                    return expiredSale;
+                });
+
+                if (!expiredSale) return;
+
+                expiredSales.push({ sale: expiredSale._id, value: expiredSale.expiredCashback });
+            } catch (error) {
+                console.error(`Erro ao expirar cashback da venda ${sale.invoiceKey}: ${error.message}`);
+                expiredSales.push({ error: error.message, sale: sale._id });
+            }
+        });
+
+        return { success: true, expiredSales };
+    }
+
+    /**
+     * A função sendExpirationReminders é o job que avisa os clientes sobre o cashback disponível que está para expirar.
+     * Para cada venda AVAILABLE, o aviso usado é o menor prazo de CASHBACK_EXPIRATION_REMINDER_DAYS (30, 7 e 1 dias por padrão)
+     * em que a expiração já cabe, com o mesmo limite de _getCloseToExpire (fim do dia, no fuso horário de negócio), e o valor é o saldo da venda no ledger.
+     * Cada aviso é enviado no máximo uma vez por venda e prazo: a venda só é marcada em expirationReminders (com $addToSet condicional)
+     * se ainda não tiver recebido aquele aviso nem um aviso de prazo menor, e só as vendas marcadas entram na notificação.
+     * A marcação das vendas e a gravação do aviso no outbox ficam na mesma transação, então um erro no meio não deixa venda marcada sem aviso.
+     * Só recebem aviso os clientes cadastrados no MyCash que aceitaram a newsletter (acceptedNewsletter).
+     * As vendas de um mesmo CPF e prazo são somadas em um único e-mail (CASHBACK_EXPIRING) e um único evento cashback_expirando na Dito, entregues pelo outbox.
+     */
+    async sendExpirationReminders(authorizationToken, now = new Date()) {
+        if (this._expirationReminderDays.length < 1) return { success: true, reminders: [] };
+
+        const limits = this._expirationReminderDays.map((days) => ({
+            days,
+            expirateDate: this._getCloseToExpireLimit(now, { days })
+        }));
+        const users = {};
+        const reminders = {};
+        const errors = [];
+
+        const getUser = async (cpf) => {
+            if (users[cpf] === undefined) {
+                users[cpf] = (await this._myCashIntegration.getUserByCpf(cpf, authorizationToken)) || null;
+            }
+            return users[cpf];
+        };
+
+        await this._forEachSalePage(
+            { status: 'AVAILABLE', expirateDate: { $gte: now, $lte: _.last(limits).expirateDate } },
+            async (sale) => {
+                try {
+                    const limit = limits.find((l) => sale.expirateDate <= l.expirateDate);
+                    if ((sale.expirationReminders || []).some((days) => days <= limit.days)) return;
+
+                    const salesCashback = await this._getSalesCashback({ sale: sale._id });
+                    const value = salesCashback[sale._id] || 0;
+                    if (!value) return;
+
+                    const user = await getUser(sale.cpf);
+                    if (!user || !user.acceptedNewsletter) return;
+
+                    const key = `${sale.cpf}|${limit.days}`;
+                    if (!reminders[key])
+                        reminders[key] = { cpf: sale.cpf, days: limit.days, customer: sale.customer, sales: [] };
+
+                    reminders[key].sales.push({ sale: sale._id, value, expirateDate: sale.expirateDate });
+                } catch (error) {
+                    console.error(
+                        `Erro ao verificar expiração do cashback da venda ${sale.invoiceKey}: ${error.message}`
+                    );
+                    errors.push({ error: error.message, sale: sale._id });
+                }
+            }
+        );
+
+        const sent = [];
+
+        for (const reminder of Object.values(reminders)) {
+            try {
+                const remindedSales = await this._withTransaction(async (session) => {
+                    const markedSales = [];
+
+                    for (const reminderSale of reminder.sales) {
+                        const { matchedCount } = await this._saleModel.updateOne(
+                            {
+                                _id: reminderSale.sale,
+                                status: 'AVAILABLE',
+                                expirationReminders: { $not: { $lte: reminder.days } }
+                            },
+                            { $addToSet: { expirationReminders: reminder.days } },
+                            { session }
+                        );
+
+                        if (matchedCount === 1) markedSales.push(reminderSale);
+                    }
+
+                    if (markedSales.length < 1) return markedSales;
+
+                    await this._notifyCashbackExpiring(
+                        {
+                            ...reminder,
+                            value: _.sumBy(markedSales, 'value'),
+                            expirateDate: _.minBy(markedSales, 'expirateDate').expirateDate
+                        },
+                        session
+                    );
+
+                    return markedSales;
+                });
+
+                if (remindedSales.length < 1) continue;
+
+                sent.push({
+                    cpf: reminder.cpf,
+                    days: reminder.days,
+                    value: _.sumBy(remindedSales, 'value'),
+                    sales: remindedSales.map((s) => s.sale)
+                });
+            } catch (error) {
+                console.error(`Erro ao avisar expiração do cashback do CPF ${reminder.cpf}: ${error.message}`);
+                errors.push({ error: error.message, cpf: reminder.cpf, days: reminder.days });
+            }
+        }
+
+        return { success: true, reminders: sent, errors };
+    }
+
+    /**
+     * A função _notifyCashbackExpiring grava no outbox, na sessão informada, o aviso de cashback perto de expirar: o e-mail CASHBACK_EXPIRING
+     * e o evento cashback_expirando na Dito, com o valor, a data de expiração e o prazo do aviso em dias.
+     */
+    async _notifyCashbackExpiring({ cpf, days, value, expirateDate, customer }, session) {
+        const balanceAgg = await this._getBalance(cpf, session);
+        const balance = (balanceAgg && balanceAgg.balance) || 0;
+
+        await this._enqueueOutboxMessages(
+            [
+                {
+                    type: 'EMAIL',
+                    cpf,
+                    payload: {
+                        template: 'CASHBACK_EXPIRING',
+                        data: {
+                            value: this._formatMoney(value),
+                            expirateDate: dateUtils.format(expirateDate, 'dd/MM/yyyy'),
+                            days,
+                            balance: this._formatMoney(balance)
+                        }
+                    }
+                },
+                ...this._createDitoMessages(cpf, customer, {
+                    action: 'cashback_expirando',
+                    data: {
+                        cashback_expirando_valor: (value / 100).toFixed(2),
+                        cashback_expirando_data: dateUtils.formatISO(expirateDate),
+                        cashback_expirando_dias: days,
+                        ...this._getDitoBalanceData(balance)
+                    }
+                })
+            ],
+            session
+        );
+    }
+
+    /**
+     * A função _settleCashbackDebts usa o saldo de uma venda recém-creditada para pagar as dívidas de cashback em aberto do CPF, da mais antiga para a mais nova.
+     * Cada pagamento gera um lançamento DEBT_SETTLEMENT no ledger, descontado da venda creditada, e é registrado na própria dívida.
+     * Retorna o valor total pago.
+     */
+    async _settleCashbackDebts(creditSale, session) {
+        const debts = await this._cashbackDebtModel.find(
+            { cpf: creditSale.cpf, status: 'OPEN' },
+            {},
+            { sort: { createdAt: 1 }, session }
+        );
 
-            await Promise.all(
-                history.map((h) =>
-                    this._saleModel.aggregate([
-                        { $match: { _id: mongoose.Types.ObjectId(h.saleId), status: { $ne: 'EXPIRED' } } },
-                        {
-                            $set: {
-                                availableCashback: { $sum: ['$availableCashback', h.usedValue] },
-                                cashbackUseHistory: {
-                                    $filter: {
-                                        input: '$cashbackUseHistory',
-                                        as: 'item',
-                                        cond: { $ne: ['$$item.saleId', mongoose.Types.ObjectId(id)] }
-                                    }
-                                }
-                            }
-                        },
-                        { $merge: { into: 'sales', on: '_id', whenMatched: 'replace', whenNotMatched: 'discard' } }
-                    ])
-                )
-            );
+        if (debts.length < 1) return 0;
 
-            await this._saleModel.findByIdAndUpdate(id, { $set: { status: 'CANCELED' } }, { new: true });
+        const salesCashback = await this._getSalesCashback({ sale: creditSale._id }, session);
+        let available = salesCashback[creditSale._id] || 0;
+        const entries = [];
 
-            const ditoUser = await this._findOrCreateDitoUser(sale.customer.id, {
-                name: sale.customer.name,
-                email: sale.customer.email,
-                phone: sale.customer.phone
-            });
+        for (const debt of debts) {
+            if (!available) break;
 
-            if (ditoUser) {
-                const balanceAgg = await this._getBalance(sale.customer.id);
-                const balance = (balanceAgg && balanceAgg.balance) || 0;
+            const value = Math.min(debt.remainingValue, available);
+            const remainingValue = debt.remainingValue - value;
 
-                this._ditoEventsIntegration.createEvent(sale.customer.id, 'cancelou_utilizacao_cashback', {
-                    cancelou_utilizacao_cashback_valor: (sale.usedCashbackValue / 100).toFixed(2),
-                    cancelou_utilizacao_cashback_data: formatISO(new Date()),
-                    saldo_cashback_valor: (balance / 100).toFixed(2),
-                    saldo_cashback_data: formatISO(new Date())
-                });
+            await this._cashbackDebtModel.updateOne(
+                { _id: debt._id },
+                {
+                    $set: { remainingValue, status: remainingValue > 0 ? 'OPEN' : 'PAID' },
+                    $push: { payments: { sale: creditSale._id, value, date: new Date() } }
+                },
+                { session }
+            );
 
-                this._ditoUsersIntegration.updateUser(sale.customer.id, {
-                    saldo_cashback_valor: (balance / 100).toFixed(2),
-                    saldo_cashback_data: formatISO(new Date())
-                });
-            }
-        } else {
-            await this._saleModel.findByIdAndUpdate(
-                id,
-                { $set: { status: 'CANCELED' }, $unset: { creditDate: '', expirateDate: '', availableCashback: '' } },
-                { new: true }
+            entries.push(
+                ...this._splitLedgerEntry(
+                    {
+                        cpf: creditSale.cpf,
+                        type: 'DEBT_SETTLEMENT',
+                        value: -value,
+                        sale: creditSale._id,
+                        reference: { sale: debt.sale, invoiceKey: creditSale.invoiceKey },
+                        description: String(debt._id)
+                    },
+                    creditSale
+                )
             );
-            const ditoUser = await this._findOrCreateDitoUser(sale.customer.id, {
-                name: sale.customer.name,
-                email: sale.customer.email,
-                phone: sale.customer.phone
-            });
 
-            if (ditoUser) {
-                this._ditoEventsIntegration.createEvent(sale.customer.id, 'cancelou_geracao_cashback', {
-                    cancelou_geracao_cashback_valor: (sale.totalCashback / 100).toFixed(2),
-                    cancelou_geracao_cashback_data: formatISO(new Date())
-                });
-            }
+            available -= value;
         }
-    }
 
-    /**
-     * Essa função tem como objetivo marcar uma venda como integrada, definindo o campo "integrated" como verdadeiro.
-     * Para isso, é realizada uma busca por uma venda com o id informado e, caso ela exista, é atualizado o seu campo "integrated" para true.
-     * Em seguida, a venda atualizada é retornada. Caso a venda não seja encontrada, é lançada uma exceção com a mensagem 'SALE_NOT_FOUND'.
-     */
-    async integrate(id) {
-        const sale = await this._saleModel.findOneAndUpdate({ _id: id }, { $set: { integrated: true } }, { new: true });
-        if (!sale) throw new Error('SALE_NOT_FOUND');
-        return sale;
+        await this._addLedgerEntries(entries, session);
+
+        return entries.reduce((prev, cur) => (prev -= cur.value), 0);
     }
 
     /**
-     * A função update é responsável por atualizar uma venda no banco de dados.
-     * Ela recebe como parâmetro um objeto contendo as informações a serem atualizadas e o id da venda a ser atualizada.
-     * Internamente, a função utiliza a função findOneAndUpdate do MongoDB para buscar e atualizar a venda no banco de dados.
-     * O primeiro parâmetro da função findOneAndUpdate é um objeto que define o filtro para encontrar a venda a ser atualizada (nesse caso, o filtro é pelo id).
-     * O segundo parâmetro é um objeto contendo as informações a serem atualizadas.
-     * Por fim, o terceiro parâmetro é um objeto de opções que especifica que a função deve retornar a nova versão do documento atualizado ({ new: true }) e que a função não deve criar um novo documento caso não encontre um documento correspondente ao filtro ({ upsert: false }).
-     * Se a venda não for encontrada, a função lança um erro informando que a venda não foi encontrada. Caso contrário, a função retorna a venda atualizada.
+     * A função _createCashbackDebt registra como dívida do CPF um valor de cashback que precisava ser estornado mas não havia saldo para isso.
      */
-    async update(updateData, id) {
-        const sale = await this._saleModel.findOneAndUpdate(
-            { _id: id },
-            { $set: { ...updateData } },
-            { new: true, upsert: false }
+    async _createCashbackDebt({ cpf, saleId, value, reason }, session) {
+        const [debt] = await this._cashbackDebtModel.create(
+            [{ cpf, sale: saleId, reason, originalValue: value, remainingValue: value }],
+            { session }
         );
-        if (!sale) throw new Error('SALE_NOT_FOUND');
-        return sale;
+
+        return debt;
     }
 
-    async list({ cpf, integrated, status, page = 1, limit = 20, period, invoiceKey, id, usedCashback }) {
+    /**
+     * A função listDebts lista, de forma paginada, as dívidas de cashback, podendo filtrar por CPF e status (OPEN ou PAID).
+     */
+    async listDebts({ cpf, status, page = 1, limit = 20 }) {
         const query = {};
         if (cpf) query.cpf = cpf;
-        if (id) query._id = id;
-        if (usedCashback) query.usedCashback = Boolean(usedCashback);
-        if (_.isBoolean(integrated)) query.integrated = Boolean(integrated);
         if (status) query.status = status;
-        if (invoiceKey) query.invoiceKey = invoiceKey;
-        if (period) query.saleDate = this._getPeriodQuery(period);
 
-        return await this._saleModel.paginate(query, { sort: { saleDate: 'asc' }, page, limit });
+        return await this._cashbackDebtModel.paginate(query, { sort: { createdAt: 'asc' }, page, limit });
     }
 
     /**
-     * A função simulateCashback realiza uma simulação de cashback para uma determinada venda passada como parâmetro simulateData.
-     * Primeiro, ela recupera todas as campanhas ativas através da função _getActivesCampaigns.
-     * Em seguida, calcula o cashback para as campanhas válidas e inválidas através da função _calculeCashback, retornando duas listas: validCampaigns e invalidCampaigns.
-     * Posteriormente, a função verifica se o usuário que realizou a venda está na lista de usuários banidos através da função isUserInBannedList.
-     * Caso esteja, a função retorna um erro.
-     * Após essa verificação, a função encontra a venda com a melhor campanha através da função _findSaleWithBetterCampaign e marca os itens elegíveis com base na campanha utilizada pela função _markEligibleItemsBasedOnUsedCampaign.
-     * Por fim, a função retorna a venda com a melhor campanha, a lista de campanhas inválidas e uma lista de vendas com outras campanhas que também ofereceram cashback para essa venda.
+     * A função adjustCashback lança um ajuste manual (ADJUSTMENT) no ledger de um CPF, positivo ou negativo.
+     * O ajuste pode ser vinculado a uma venda (saleId), e nesse caso o availableCashback da venda é atualizado a partir do ledger.
+     * A descrição e o responsável pelo ajuste ficam gravados no lançamento para auditoria.
      */
-    async simulateCashback(simulateData) {
-        const campaigns = await this._getActivesCampaigns();
+    async adjustCashback({ cpf, saleId, value, description, createdBy }) {
+        if (!Number.isInteger(value) || value === 0) throw new Error('INVALID_ADJUSTMENT_VALUE');
 
-        const { validCampaigns: campaignsWithCashback, invalidCampaigns } = await this._calculeCashback(
-            campaigns,
-            simulateData,
-            simulateData.customerId
-        );
-
-        const { exist: isUserInBannedList } = await this._myCashIntegration.isUserInBannedList(simulateData.customerId);
-
-        if (isUserInBannedList) {
-            throw new Error('USER_FOUND_BANNEDLIST');
+        let sale = null;
+        if (saleId) {
+            sale = await this._saleModel.findOne({ _id: saleId, cpf });
+            if (!sale) throw new Error('SALE_NOT_FOUND');
         }
 
-        const saleWithBetterCampaign = this._findSaleWithBetterCampaign(campaignsWithCashback);
+        const [entry] = await this._addLedgerEntries([
+            {
+                cpf,
+                type: 'ADJUSTMENT',
+                value,
+                sale: sale ? sale._id : undefined,
+                campaign: sale ? sale.usedCampaign : undefined,
+                reference: sale ? { sale: sale._id, invoiceKey: sale.invoiceKey } : undefined,
+                description,
+                createdBy
+            }
+        ]);
 
-        this._markEligibleItemsBasedOnUsedCampaign(saleWithBetterCampaign);
+        if (sale) await this._syncSalesCashback([sale._id]);
 
-        return {
-            ...saleWithBetterCampaign,
-            invalidCampaigns,
-            saleWithOtherCampaigns: saleWithCashback.map((sale) => {
-                return {
-                    usedCampaign: sale.usedCampaign,
-                    creditDate: sale.creditDate,
-                    expirateDate: sale.expirateDate,
-                    totalCashback: sale.totalCashback
-                };
-            })
-        };
+        return entry;
     }
 
-    async _findOrCreateDitoUser(cpf, { email, name, phone }) {
-        if (!cpf) return null;
-        let user = await this._ditoUsersIntegration.getUser(cpf);
-        if (!user) {
-            user = await this._ditoUsersIntegration.createUser(cpf, { cpf, email, name, phone });
-        }
-        return user;
-    }
+    /**
+     * A função reconcileLedger compara o saldo de cada venda no ledger com o availableCashback gravado no documento da venda.
+     * Vendas AVAILABLE devem ter no ledger o mesmo saldo do documento; vendas em qualquer outro status não podem ter saldo no ledger.
+     * Retorna a lista de divergências encontradas. Com fix = true, cada divergência é corrigida com um lançamento ADJUSTMENT.
+     * Vendas criadas antes do ledger (sem nenhum lançamento) são migradas antes com os lançamentos reconstruídos por _buildLegacyLedgerEntries,
+     * para que o extrato mostre o crédito, as utilizações e a expiração em vez de um único ajuste; só o que sobrar de diferença vira ADJUSTMENT.
+     */
+    async reconcileLedger({ cpf, fix = false, createdBy } = {}) {
+        const query = { status: { $in: ['AVAILABLE', 'EXPIRED', ...CANCELED_SALE_STATUSES] } };
+        if (cpf) query.cpf = cpf;
 
-    _translateCampaignStatus(status) {
-        const statusMap = {
-            READY: 'pronta',
-            PENDENT: 'pendente',
-            INACTIVE: 'inativa',
-            ACTIVE: 'ativa',
-            EXPIRED: 'expirada'
-        };
+        const divergences = [];
 
-        return statusMap[status] || status;
-    }
+        await this._forEachSalePage(query, async (sale) => {
+            const [ledgerAgg] = await this._cashbackLedgerModel.aggregate([
+                { $match: { sale: sale._id } },
+                { $group: { _id: '$sale', value: { $sum: '$value' } } }
+            ]);
 
-    async create(createData, authorizationToken) {
-        try {
-            /**
-             * A função this._receivedSaleModel.create é responsável por criar uma nova venda no banco de dados. Ela utiliza o modelo ReceivedSaleModel para criar um novo documento de venda com base nas informações fornecidas.
-             * A função recebe como parâmetro um objeto saleData que contém as informações da venda, incluindo o ID do produto vendido, o ID do cliente que realizou a compra, o preço unitário do produto e a quantidade de produtos vendidos.
-             * Antes de criar a nova venda, a função verifica se todos os campos obrigatórios foram fornecidos. Caso algum campo obrigatório esteja faltando, a função retorna um erro informando qual campo está faltando.
-             * Se todos os campos obrigatórios estiverem presentes, a função cria um novo documento de venda utilizando o modelo ReceivedSaleModel e as informações fornecidas. Em seguida, ela salva o novo documento no banco de dados e retorna a nova venda em formato de objeto.
-             * Caso ocorra algum erro durante o processo de criação da nova venda no banco de dados, a função retorna o erro gerado.
-             */
-            const receivedSale = await this._receivedSaleModel.create({
-                invoiceKey: createData.invoice && createData.invoice.key,
-                cpf: createData.customer.id,
-                data: createData
-            });
+            const legacyEntries = ledgerAgg ? [] : this._buildLegacyLedgerEntries(sale);
+            const ledgerCashback = (ledgerAgg && ledgerAgg.value) || 0;
+            const saleCashback = sale.status === 'AVAILABLE' ? sale.availableCashback || 0 : 0;
 
-            await this._generateCashback({ data: createData }, receivedSale, authorizationToken);
+            if (ledgerCashback === saleCashback && legacyEntries.length < 1) return;
 
-            await this._receivedSaleModel.findOneAndUpdate(
-                {
-                    invoiceKey: createData.invoice && createData.invoice.key,
-                    cpf: createData.customer.id,
-                    data: createData,
-                    processed: false
-                },
-                { $set: { processed: true } },
-                { new: true }
-            );
+            const divergence = {
+                sale: sale._id,
+                cpf: sale.cpf,
+                status: sale.status,
+                saleCashback,
+                ledgerCashback,
+                difference: saleCashback - ledgerCashback,
+                legacyEntries: legacyEntries.length
+            };
 
-            return newSale;
-        } catch (error) {
-            if (error.name === 'ValidationError' && !!error._message) this._handleMongoError(error);
-            throw error;
-        }
+            if (fix) {
+                const difference = saleCashback - ledgerCashback - _.sumBy(legacyEntries, 'value');
+
+                await this._addLedgerEntries([
+                    ...legacyEntries,
+                    ...(difference ? [this._buildLedgerAdjustment(sale, difference, createdBy)] : [])
+                ]);
+                divergence.fixed = true;
+            }
+
+            divergences.push(divergence);
+        });
+
+        return { success: true, divergences };
     }
 
-    async createAllSales(createData) {
-        try {
-            const receivedSale = await this._receivedSaleModel.create({
-                invoiceKey: createData.invoice && createData.invoice.key,
-                cpf: createData.customer.id,
-                data: createData
+    /**
+     * A função _buildLedgerAdjustment monta o lançamento ADJUSTMENT que leva o saldo da venda no ledger ao availableCashback do documento.
+     */
+    _buildLedgerAdjustment(sale, value, createdBy) {
+        return _.omitBy(
+            {
+                cpf: sale.cpf,
+                type: 'ADJUSTMENT',
+                value,
+                sale: sale._id,
+                campaign: sale.usedCampaign,
+                reference: { sale: sale._id, invoiceKey: sale.invoiceKey },
+                description: 'LEDGER_RECONCILIATION',
+                createdBy
+            },
+            _.isNil
+        );
+    }
+
+    /**
+     * A função _buildLegacyLedgerEntries reconstrói os lançamentos do ledger de uma venda criada antes dele, a partir do documento da venda:
+     * o crédito do totalCashback na creditDate, uma utilização (DEBIT) para cada registro de cashbackUseHistory, na data e com a venda em que o cashback foi usado,
+     * nas vendas EXPIRED, a expiração do que sobrou na expirateDate, e nas vendas CLAWED_BACK e CANCELED_WITH_DEBT, o estorno (REVERSAL) do que sobrou.
+     * O que foi retirado do restante do saldo do cliente nesses cancelamentos fica nas vendas de onde saiu. Vendas CANCELED não têm saldo nem lançamentos.
+     */
+    _buildLegacyLedgerEntries(sale) {
+        if (!['AVAILABLE', 'EXPIRED', 'CLAWED_BACK', 'CANCELED_WITH_DEBT'].includes(sale.status) || !sale.totalCashback)
+            return [];
+
+        const reference = { sale: sale._id, invoiceKey: sale.invoiceKey };
+        const entries = [
+            {
+                cpf: sale.cpf,
+                type: 'CREDIT',
+                value: sale.totalCashback,
+                sale: sale._id,
+                reference,
+                date: sale.creditDate
+            },
+            ...(sale.cashbackUseHistory || [])
+                .filter((use) => use.usedValue > 0)
+                .map((use) => ({
+                    cpf: sale.cpf,
+                    type: 'DEBIT',
+                    value: -use.usedValue,
+                    sale: sale._id,
+                    reference: { sale: use.saleId, invoiceKey: use.invoiceKey },
+                    date: use.date
+                }))
+        ];
+
+        const remaining = _.sumBy(entries, 'value');
+        if (sale.status === 'EXPIRED' && remaining > 0) {
+            entries.push({
+                cpf: sale.cpf,
+                type: 'EXPIRATION',
+                value: -remaining,
+                sale: sale._id,
+                reference,
+                date: sale.expirateDate
+            });
+        }
+        if (['CLAWED_BACK', 'CANCELED_WITH_DEBT'].includes(sale.status) && remaining > 0) {
+            entries.push({
+                cpf: sale.cpf,
+                type: 'REVERSAL',
+                value: -remaining,
+                sale: sale._id,
+                reference,
+                description: 'CANCELED_SALE_CLAWBACK',
+                date: sale.clawback && sale.clawback.date
             });
-            return receivedSale;
-        } catch (error) {
-            if (error.name === 'ValidationError' && !!error._message) this._handleMongoError(error);
-            throw error;
         }
+
+        return _.flatMap(entries, (entry) => this._splitLedgerEntry(_.omitBy(entry, _.isNil), sale));
     }
 
     /**
-     * A função processUnprocessedSales é responsável por processar as vendas recebidas que ainda não foram processadas.
-     * Ela busca as vendas não processadas no banco de dados, para cada venda, ela tenta calcular o cashback válido e inválido baseado nas campanhas ativas, encontrar a campanha que oferece o maior cashback total,
-     * marcar os itens elegíveis da venda com base na campanha usada, criar um histórico da fonte do cashback e do uso do cashback, atualizar a venda como processada e adicionar informações sobre a venda processada a um array processedSales.
-     * Ao final, a função retorna um objeto indicando se o processamento foi bem-sucedido e uma lista das vendas processadas com as informações adicionais mencionadas acima. Caso ocorra algum erro, a função trata o erro e o registra no array processedSales.
+     * A função _notifyCashbackReleased grava no outbox, na sessão da liberação, o e-mail RELEASED_CASHBACK,
+     * a atualização do saldo e o evento liberou_cashback na Dito.
      */
-    async processUnprocessedSales(authorizationToken) {
-        try {
-            const unprocessedSales = await this._receivedSaleModel.find({ processed: false });
-            const processedSales = [];
+    async _notifyCashbackReleased(sale, session) {
+        const balanceAgg = await this._getBalance(sale.cpf, session);
+        const balance = (balanceAgg && balanceAgg.balance) || 0;
 
-            for (const processSale of unprocessedSales) {
-                try {
-                    const sales = await this._generateCashback(processSale, null, authorizationToken);
-
-                    await this._receivedSaleModel.findOneAndUpdate(
-                        { invoiceKey: processSale.invoiceKey },
-                        { $set: { processed: true } }
-                    );
+        await this._enqueueOutboxMessages(
+            [
+                {
+                    type: 'EMAIL',
+                    cpf: sale.cpf,
+                    reference: { sale: sale._id },
+                    payload: {
+                        template: 'RELEASED_CASHBACK',
+                        data: {
+                            value: this._formatMoney(sale.availableCashback),
+                            expirateDate: dateUtils.getDateKey(sale.expirateDate),
+                            balance: this._formatMoney(balance)
+                        }
+                    }
+                },
+                ...this._createDitoMessages(sale.cpf, sale.customer, {
+                    sale: sale._id,
+                    balance,
+                    action: 'liberou_cashback',
+                    data: {
+                        liberou_cashback_valor: (sale.availableCashback / 100).toFixed(2),
+                        liberou_cashback_data: dateUtils.formatISO(new Date()),
+                        expiracao_cashback_data: dateUtils.formatISO(new Date(sale.expirateDate)),
+                        ...this._getDitoBalanceData(balance)
+                    }
+                })
+            ],
+            session
+        );
+    }
 
-                    processedSales.push({
-                        sale: sales
-                    });
-                } catch (error) {
-                    if (error.name === 'ValidationError' && !!error._message) this._handleMongoError(error);
-                    console.error(`Erro ao processar venda ${processSale.invoiceKey}: ${error.message}`);
-                    processedSales.push({ error: error.message, sale: processSale });
-                }
-            }
+    /**
+     * A função _notifyCashbackExpired grava no outbox, na sessão da expiração, o e-mail EXPIRED_CASHBACK,
+     * a atualização do saldo e o evento expirou_cashback na Dito.
+     */
+    async _notifyCashbackExpired(sale, session) {
+        const balanceAgg = await this._getBalance(sale.cpf, session);
+        const balance = (balanceAgg && balanceAgg.balance) || 0;
 
-            return { success: true, processedSales };
-        } catch (error) {
-            console.error(`Erro ao buscar vendas não processadas: ${error.message}`);
-            return { success: false, error: error.message };
-        }
+        await this._enqueueOutboxMessages(
+            [
+                {
+                    type: 'EMAIL',
+                    cpf: sale.cpf,
+                    reference: { sale: sale._id },
+                    payload: {
+                        template: 'EXPIRED_CASHBACK',
+                        data: {
+                            value: this._formatMoney(sale.expiredCashback),
+                            balance: this._formatMoney(balance)
+                        }
+                    }
+                },
+                ...this._createDitoMessages(sale.cpf, sale.customer, {
+                    sale: sale._id,
+                    balance,
+                    action: 'expirou_cashback',
+                    data: {
+                        expirou_cashback_valor: (sale.expiredCashback / 100).toFixed(2),
+                        expirou_cashback_data: dateUtils.formatISO(new Date()),
+                        ...this._getDitoBalanceData(balance)
+                    }
+                })
+            ],
+            session
+        );
     }
 
     /**
@@ -1206,111 +4579,120 @@ class SaleService extends BaseService {
      * Em resumo, a função começa obtendo o saldo atual de cashback do cliente, com base no CPF informado na venda.
      * Em seguida, ela verifica se a venda utiliza cashback como forma de pagamento.
      * Se sim, ela cria um registro da venda no banco de dados e atualiza o saldo de cashback do cliente.
-     * Além disso, ela envia um e-mail de confirmação da compra e cria eventos no sistema Dito.
+     * Além disso, ela grava no outbox o e-mail de confirmação da compra e os eventos do sistema Dito, que são entregues por dispatchOutbox.
      * Se a venda não utilizar cashback como forma de pagamento, a função calcula o cashback a ser recebido pelo cliente com base nas campanhas de marketing ativas e expiradas, cria um registro da venda no banco de dados e atualiza o saldo de cashback do cliente.
-     * Nesse caso, ela também envia um e-mail de confirmação da compra e cria eventos no sistema Dito.
+     * Nesse caso, ela também grava no outbox o e-mail de confirmação da compra e os eventos do sistema Dito.
      * Em ambos os casos, a função retorna um objeto contendo as informações da venda registrada no banco de dados.
      */
     async _generateCashback(processSale, receivedSale = null, authorizationToken) {
-        let balanceAgg = await this._getBalance(processSale.cpf);
-        let balance = (balanceAgg && balanceAgg.balance) || 0;
-
         if (processSale.data.usedCashback) {
-            if (balance < processSale.data.usedCashbackValue) throw new Error('INSUFFICIENT_FUNDS');
-
             const data = this._createUsedCashbackSale(processSale.data);
+            const user = await this._myCashIntegration.getUserByCpf(processSale.data.customer.id, authorizationToken);
 
             /**
-             * A função recebe como parâmetro um objeto saleData que contém as informações da venda,
-             * incluindo o ID do produto vendido, o ID do cliente que realizou a compra,
-             * o preço unitário do produto, a quantidade de produtos vendidos,
-             * a data e hora da venda e o valor do cashback utilizado (se houver).
+             * A criação da venda e o débito do cashback acontecem na mesma transação:
+             * se o saldo não for suficiente ou se outra utilização do mesmo CPF alterar as vendas de origem,
+             * nada é gravado e o erro INSUFFICIENT_FUNDS é lançado.
+             * Se a venda já foi gravada por uma tentativa anterior da mesma venda recebida (por exemplo, retomada depois que a reserva venceu),
+             * ela é devolvida sem novo débito; uma venda de outra venda recebida com a mesma nota é rejeitada como nota duplicada, como no caminho sem utilização.
+             * O e-mail PURCHASE_CASHBACK e os eventos da Dito são gravados no outbox na mesma transação.
              */
-            const sale = await this._saleModel.create({
-                ...data,
-                invoiceKey: data.invoiceKey,
-                cpf: data.cpf,
-                usedCashback: data.usedCashback,
-                receivedSale: receivedSale ? receivedSale._id : processSale._id
-            });
+            const receivedSaleId = receivedSale ? receivedSale._id : processSale._id;
+            const sale = await this._withTransaction(async (session) => {
+                const existingSale = await this._saleModel.findOne(
+                    {
+                        $or: [
+                            { receivedSale: receivedSaleId },
+                            ...(data.invoiceKey ? [{ invoiceKey: data.invoiceKey }] : [])
+                        ]
+                    },
+                    {},
+                    { session }
+                );
 
-            const history = await this._useCashback({
-                usedValue: processSale.data.usedCashbackValue,
-                cpf: processSale.data.customer.id,
-                invoiceKey: processSale.data.invoice && processSale.data.invoice.key,
-                saleId: sale._id
-            });
+                if (existingSale) {
+                    if (String(existingSale.receivedSale) === String(receivedSaleId)) return existingSale;
+                    throw new Error('CONFLICT_DUPLICATE_INVOICE_KEY_ERROR');
+                }
 
-            const user = await this._myCashIntegration.getUserByCpf(processSale.data.customer.id, authorizationToken);
+                const currentBalanceAgg = await this._getBalance(data.cpf, session);
+                const currentBalance = (currentBalanceAgg && currentBalanceAgg.balance) || 0;
 
-            balanceAgg = await this._getBalance(processSale.data.customer.id);
-            balance = (balanceAgg && balanceAgg.balance) || 0;
+                if (currentBalance < processSale.data.usedCashbackValue) throw new Error('INSUFFICIENT_FUNDS');
 
-            /**
-             *  Se a condição for verdadeira, a propriedade cashback do objeto createData é atualizada
-             *  com o saldo atual de cashback do usuário obtido pela integração com o sistema MyCash e a
-             *  propriedade customerId do objeto createData é atualizada com o ID do usuário obtido pela integração.
-             *  Isso é feito para garantir que o histórico de compras do cliente seja registrado corretamente no objeto
-             *  createData.
-             */
-            if (user) {
+                const [usedCashbackSale] = await this._saleModel.create(
+                    [
+                        {
+                            ...data,
+                            invoiceKey: data.invoiceKey,
+                            cpf: data.cpf,
+                            usedCashback: data.usedCashback,
+                            receivedSale: receivedSaleId,
+                            userInMycash: !!user //a expressão !!user é usada para converter a variável user em um valor booleano
+                        }
+                    ],
+                    { session }
+                );
+
+                usedCashbackSale.history = await this._useCashback(
+                    {
+                        usedValue: processSale.data.usedCashbackValue,
+                        cpf: data.cpf,
+                        invoiceKey: data.invoiceKey,
+                        saleId: usedCashbackSale._id,
+                        strategy: processSale.data.redemptionStrategy,
+                        campaignPriority: processSale.data.campaignPriority
+                    },
+                    session
+                );
+
+                await this._saleModel.updateOne(
+                    { _id: usedCashbackSale._id },
+                    { $set: { history: usedCashbackSale.history } },
+                    { session }
+                );
+
+                const balanceAgg = await this._getBalance(data.cpf, session);
+                const balance = (balanceAgg && balanceAgg.balance) || 0;
                 const totalPrice = processSale.data.items.reduce(
                     (prev, cur) => (prev += cur.unitPrice * cur.quantity),
                     0
                 );
 
-                if (process.env.NODE_ENV !== 'test') {
-                    this._notificationsIntegration.sendEmail('PURCHASE_CASHBACK', {
-                        to: user.email,
-                        name: user.firstName,
-                        totalPrice: this._formatMoney(totalPrice),
-                        paidValue: this._formatMoney(totalPrice - processSale.data.usedCashbackValue),
-                        usedCashbackValue: this._formatMoney(processSale.data.usedCashbackValue),
-                        balance: this._formatMoney(balance)
-                    });
-                }
-            }
+                await this._enqueueOutboxMessages(
+                    [
+                        {
+                            type: 'EMAIL',
+                            cpf: processSale.data.customer.id,
+                            reference: { sale: usedCashbackSale._id },
+                            payload: {
+                                template: 'PURCHASE_CASHBACK',
+                                data: {
+                                    totalPrice: this._formatMoney(totalPrice),
+                                    paidValue: this._formatMoney(totalPrice - processSale.data.usedCashbackValue),
+                                    usedCashbackValue: this._formatMoney(processSale.data.usedCashbackValue),
+                                    balance: this._formatMoney(balance)
+                                }
+                            }
+                        },
+                        ...this._createDitoMessages(processSale.data.customer.id, processSale.data.customer, {
+                            sale: usedCashbackSale._id,
+                            balance,
+                            action: 'utilizou_cashback',
+                            data: {
+                                utilizou_cashback_valor: (processSale.data.usedCashbackValue / 100).toFixed(2),
+                                utilizou_cashback_data: dateUtils.formatISO(new Date(processSale.data.verification)),
+                                ...this._getDitoBalanceData(balance)
+                            }
+                        })
+                    ],
+                    session
+                );
 
-            const ditoUser = await this._findOrCreateDitoUser(processSale.data.customer.id, {
-                name: processSale.data.customer.name,
-                email: processSale.data.customer.email,
-                phone: processSale.data.customer.phone
+                return usedCashbackSale;
             });
 
-            if (ditoUser) {
-                this._ditoUsersIntegration.updateUser(processSale.data.customer.id, {
-                    saldo_cashback_valor: (balance / 100).toFixed(2),
-                    saldo_cashback_data: formatISO(new Date())
-                });
-
-                await this._ditoEventsIntegration.createEvent(processSale.data.customer.id, 'utilizou_cashback', {
-                    utilizou_cashback_valor: (processSale.data.usedCashbackValue / 100).toFixed(2),
-                    utilizou_cashback_data: formatISO(
-                        this._updateHours(
-                            0 - new Date().getTimezoneOffset() / 60,
-                            new Date(processSale.data.verification)
-                        )
-                    ),
-                    saldo_cashback_valor: (balance / 100).toFixed(2),
-                    saldo_cashback_data: formatISO(new Date())
-                });
-            }
-
-            /**
-             * responsável por atualizar o saldo de cashback do cliente no banco de dados após a realização de uma venda
-             * que utiliza cashback como forma de pagamento. Essa atualização é necessária para refletir a nova quantidade de
-             * cashback disponível para o cliente após a realização da venda.
-             */
-            return await this._saleModel.findByIdAndUpdate(
-                sale._id,
-                {
-                    $set: {
-                        history,
-                        userInMycash: !!user //a expressão !!user é usada para converter a variável user em um valor booleano
-                    }
-                },
-                { new: true }
-            );
+            return await this._saleModel.findById(sale._id);
         }
 
         if (await this._saleModel.findOne({ invoiceKey: processSale.data.invoice.key }))
@@ -1324,42 +4706,18 @@ class SaleService extends BaseService {
             throw new Error('USER_FOUND_BANNEDLIST');
         }
 
-        const activeCampaigns = this._campaignIntegration.getCampaigns({
-            status: 'ACTIVE',
-            limit: 50,
-            betweenDate: processSale.data.verification
-        });
-
-        // const inactiveCampaigns = this._campaignIntegration.getCampaigns({
-        //     status: 'INACTIVE',
-        //     limit: 50,
-        //     betweenDate: processSale.data.verification,
-        //     inactiveDate: processSale.data.verification
-        // });
-
-        const expiredCampaigns = this._campaignIntegration.getCampaigns({
-            status: 'EXPIRED',
-            limit: 50,
-            betweenDate: processSale.data.verification
-        });
-
         /**
-         * A função é usada para obter uma lista única de todas as campanhas de marketing ativas, inativas e expiradas.
-         * Essa função utiliza o método Promise.all() para esperar a resolução de duas Promises: activeCampaigns e expiredCampaigns.
-         * A Promise inactiveCampaigns está comentada e, portanto, não é utilizada.
-         * Cada uma dessas Promises retorna uma lista de objetos, cada um contendo informações sobre uma campanha de marketing específica.
-         * A lista de objetos retornada pela Promise activeCampaigns contém informações sobre as campanhas ativas, enquanto a lista de objetos retornada pela Promise expiredCampaigns contém informações sobre as campanhas expiradas.
-         * Após a resolução dessas Promises, a função flat() é utilizada para criar uma lista única de todos os objetos de campanha retornados pelas Promises.
-         * Isso significa que a lista resultante contém objetos de campanha de todas as campanhas ativas e expiradas, sem duplicatas.
-         * Essa lista é retornada pela função e é usada para verificar se alguma campanha está associada à venda e para calcular o cashback que o comprador da venda receberá.
+         * Campanhas ativas e expiradas que estavam em vigor na data da venda, lidas do cache de campanhas (todas as páginas da integração).
+         * Cada venda trabalha em uma cópia, para que nada do processamento altere as campanhas guardadas no cache.
          */
-        const campaigns = (await Promise.all([activeCampaigns, /*inactiveCampaigns */ expiredCampaigns])).flat();
+        const campaigns = _.cloneDeep(await this._getCampaignsForDate(processSale.data.verification));
 
         const { validCampaigns: saleWithCashback, invalidCampaigns } = await this._calculeCashback(
             campaigns,
             processSale.data,
             processSale.data.customer.id,
-            receivedSale ? receivedSale._id : processSale._id
+            receivedSale ? receivedSale._id : processSale._id,
+            authorizationToken
         );
 
         const saleWithBestCashback = this._findSaleWithBetterCampaign(saleWithCashback);
@@ -1373,6 +4731,7 @@ class SaleService extends BaseService {
             email: saleWithBestCashback.customer.email,
             matchedCampaigns: saleWithBestCashback.matchedCampaigns,
             usedCampaign: saleWithBestCashback.usedCampaign,
+            appliedCampaigns: saleWithBestCashback.appliedCampaigns,
             saleDate: saleWithBestCashback.verification,
             salesChannel: saleWithBestCashback.salesChannel,
             totalCashback: saleWithBestCashback.totalCashback,
@@ -1385,6 +4744,10 @@ class SaleService extends BaseService {
             paymentMethod: saleWithBestCashback.paymentMethod,
             receivedSale: receivedSale ? receivedSale._id : processSale._id,
             invalidCampaigns,
+            campaignSnapshots: (saleWithBestCashback.appliedCampaigns || [{ code: saleWithBestCashback.usedCampaign }])
+                .map((appliedCampaign) => campaigns.find((campaign) => campaign.code === appliedCampaign.code))
+                .filter(Boolean)
+                .map((campaign) => this._createCampaignSnapshot(campaign)),
             saleWithOtherCampaigns: saleWithCashback.map((sale) => {
                 return {
                     usedCampaign: sale.usedCampaign,
@@ -1402,70 +4765,74 @@ class SaleService extends BaseService {
 
         if (!data.invoiceKey) throw new Error('CONFLICT_DUPLICATE_INVOICE_KEY_ERROR');
 
-        const newSale = await this._saleModel.findOneAndUpdate(
-            { invoiceKey: data.invoiceKey },
-            {
-                ...data,
-                invoiceKey: data.invoiceKey,
-                cpf: data.cpf,
-                userInMycash: !!user
-            },
-            { upsert: true, new: true }
-        );
-
-        if (user && process.env.NODE_ENV !== 'test') {
-            this._notificationsIntegration.sendEmail('REDEEM_CASHBACK', {
-                to: user.email,
-                name: user.firstName
-            });
-        }
+        /**
+         * O orçamento das campanhas é consumido na mesma transação que grava a venda: se a gravação falhar, a reserva é desfeita.
+         * A reserva trabalha em uma cópia da venda porque a transação pode ser repetida.
+         * O e-mail REDEEM_CASHBACK e os eventos participou_cashback e gerou_cashback da Dito também são gravados no outbox nessa transação.
+         */
+        const newSale = await this._withTransaction(async (session) => {
+            const budgetSale = _.cloneDeep(saleWithBestCashback);
+            const budgetReservations = await this._reserveCampaignsBudget(budgetSale, campaigns, session);
 
-        const ditoUser = await this._findOrCreateDitoUser(processSale.data.customer.id, {
-            name: processSale.data.customer.name,
-            email: processSale.data.customer.email,
-            phone: processSale.data.customer.phone
-        });
+            const newSale = await this._saleModel.findOneAndUpdate(
+                { invoiceKey: data.invoiceKey },
+                {
+                    ...data,
+                    invoiceKey: data.invoiceKey,
+                    cpf: data.cpf,
+                    totalCashback: budgetSale.totalCashback,
+                    items: budgetSale.items,
+                    appliedCampaigns: budgetSale.appliedCampaigns,
+                    budgetReservations,
+                    userInMycash: !!user
+                },
+                { upsert: true, new: true, session }
+            );
 
-        if (ditoUser) {
-            this._ditoUsersIntegration.updateUser(processSale.data.customer.id, {
-                saldo_cashback_valor: (balance / 100).toFixed(2),
-                saldo_cashback_data: formatISO(new Date())
-            });
+            const balanceAgg = await this._getBalance(data.cpf, session);
+            const balance = (balanceAgg && balanceAgg.balance) || 0;
 
-            await this._ditoEventsIntegration.createEvent(processSale.data.customer.id, 'participou_cashback', {
-                nome_campanha: saleWithBestCashback.campaignData.name,
-                codigo_campanha: saleWithBestCashback.campaignData.code,
-                status_campanha: this._translateCampaignStatus(saleWithBestCashback.campaignData.status),
-                data_inicio_campanha: formatISO(
-                    this._updateHours(
-                        0 - new Date().getTimezoneOffset() / 60,
-                        new Date(saleWithBestCashback.campaignData.startDate)
-                    )
-                ),
-                data_termino_campanha: formatISO(
-                    this._updateHours(
-                        0 - new Date().getTimezoneOffset() / 60,
-                        new Date(saleWithBestCashback.campaignData.endDate)
-                    )
-                )
-            });
+            await this._enqueueOutboxMessages(
+                [
+                    {
+                        type: 'EMAIL',
+                        cpf: processSale.data.customer.id,
+                        reference: { sale: newSale._id },
+                        payload: { template: 'REDEEM_CASHBACK', data: {} }
+                    },
+                    ...this._createDitoMessages(processSale.data.customer.id, processSale.data.customer, {
+                        sale: newSale._id,
+                        balance,
+                        action: 'participou_cashback',
+                        data: {
+                            nome_campanha: saleWithBestCashback.campaignData.name,
+                            codigo_campanha: saleWithBestCashback.campaignData.code,
+                            status_campanha: this._translateCampaignStatus(saleWithBestCashback.campaignData.status),
+                            data_inicio_campanha: dateUtils.formatISO(
+                                new Date(saleWithBestCashback.campaignData.startDate)
+                            ),
+                            data_termino_campanha: dateUtils.formatISO(
+                                new Date(saleWithBestCashback.campaignData.endDate)
+                            )
+                        }
+                    }),
+                    ...this._createDitoMessages(processSale.data.customer.id, processSale.data.customer, {
+                        sale: newSale._id,
+                        action: 'gerou_cashback',
+                        data: {
+                            gerou_cashback_valor: (newSale.totalCashback / 100).toFixed(2),
+                            gerou_cashback_data: dateUtils.formatISO(new Date()),
+                            expiracao_cashback_data: dateUtils.formatISO(new Date(newSale.expirateDate)),
+                            liberacao_cashback_data: dateUtils.formatISO(new Date(newSale.creditDate))
+                        }
+                    })
+                ],
+                session
+            );
 
-            this._ditoEventsIntegration.createEvent(processSale.data.customer.id, 'gerou_cashback', {
-                gerou_cashback_valor: (newSale.totalCashback / 100).toFixed(2),
-                gerou_cashback_data: formatISO(new Date()),
-                expiracao_cashback_data: formatISO(
-                    this._updateHours(0 - new Date().getTimezoneOffset() / 60, new Date(newSale.expirateDate))
-                )
-            });
+            return newSale;
+        });
 
-            this._ditoEventsIntegration.createEvent(processSale.data.customer.id, 'gerou_cashback', {
-                gerou_cashback_valor: (newSale.totalCashback / 100).toFixed(2),
-                gerou_cashback_data: formatISO(new Date()),
-                liberacao_cashback_data: formatISO(
-                    this._updateHours(0 - new Date().getTimezoneOffset() / 60, new Date(newSale.creditDate))
-                )
-            });
-        }
         return newSale;
     }
 
@@ -0,0 +1,128 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const dateUtils = require('../date_utils');
+
+/**
+ * As funções de data usam o fuso de negócio informado e não o TZ do servidor: cada caso roda com vários valores de TZ
+ * e precisa dar o mesmo instante em todos. Os casos cobrem a virada do dia em UTC e as trocas de horário de verão,
+ * incluindo as de São Paulo em 2018, em que a meia-noite não existiu (novembro) ou se repetiu na véspera (fevereiro).
+ */
+const SERVER_TIME_ZONES = [
+    'UTC',
+    'America/Sao_Paulo',
+    'America/New_York',
+    'Europe/London',
+    'Asia/Tokyo',
+    'Pacific/Kiritimati'
+];
+
+const SAO_PAULO = 'America/Sao_Paulo';
+const NEW_YORK = 'America/New_York';
+
+const originalTZ = process.env.TZ;
+
+const iso = (date) => date.toISOString();
+
+/**
+ * A função eachServerTimeZone registra o caso uma vez para cada TZ do servidor.
+ */
+function eachServerTimeZone(name, fn) {
+    SERVER_TIME_ZONES.forEach((serverTimeZone) =>
+        it(`${name} (TZ=${serverTimeZone})`, () => {
+            process.env.TZ = serverTimeZone;
+            fn();
+        })
+    );
+}
+
+describe('date_utils', () => {
+    afterEach(() => {
+        if (originalTZ === undefined) delete process.env.TZ;
+        else process.env.TZ = originalTZ;
+    });
+
+    describe('getDateKey', () => {
+        eachServerTimeZone('usa o dia do fuso de negócio na virada do dia em UTC', () => {
+            assert.strictEqual(dateUtils.getDateKey(new Date('2023-05-10T00:00:00.000Z'), SAO_PAULO), '2023-05-09');
+            assert.strictEqual(dateUtils.getDateKey(new Date('2023-05-10T02:59:59.999Z'), SAO_PAULO), '2023-05-09');
+            assert.strictEqual(dateUtils.getDateKey(new Date('2023-05-10T03:00:00.000Z'), SAO_PAULO), '2023-05-10');
+            assert.strictEqual(dateUtils.getDateKey(new Date('2023-05-10T00:00:00.000Z'), 'UTC'), '2023-05-10');
+        });
+
+        eachServerTimeZone('mantém o dia de uma data sem horário em qualquer fuso', () => {
+            assert.strictEqual(dateUtils.getDateKey('2023-05-10', SAO_PAULO), '2023-05-10');
+            assert.strictEqual(dateUtils.getDateKey('2023-05-10', 'Pacific/Kiritimati'), '2023-05-10');
+            assert.strictEqual(dateUtils.getDateKey('2023-05-10', 'Pacific/Pago_Pago'), '2023-05-10');
+        });
+    });
+
+    describe('startOfDay e endOfDay', () => {
+        eachServerTimeZone('limitam o dia do fuso de negócio', () => {
+            const date = new Date('2023-05-10T02:30:00.000Z');
+
+            assert.strictEqual(iso(dateUtils.startOfDay(date, SAO_PAULO)), '2023-05-09T03:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay(date, SAO_PAULO)), '2023-05-10T02:59:59.999Z');
+            assert.strictEqual(iso(dateUtils.startOfDay(date, 'UTC')), '2023-05-10T00:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay(date, 'UTC')), '2023-05-10T23:59:59.999Z');
+        });
+
+        eachServerTimeZone('começam o dia às 01:00 quando a meia-noite não existe', () => {
+            assert.strictEqual(iso(dateUtils.startOfDay('2018-11-04', SAO_PAULO)), '2018-11-04T03:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay('2018-11-03', SAO_PAULO)), '2018-11-04T02:59:59.999Z');
+            assert.strictEqual(iso(dateUtils.endOfDay('2018-11-04', SAO_PAULO)), '2018-11-05T01:59:59.999Z');
+        });
+
+        eachServerTimeZone('incluem a hora repetida no fim do dia', () => {
+            assert.strictEqual(iso(dateUtils.startOfDay('2018-02-17', SAO_PAULO)), '2018-02-17T02:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay('2018-02-17', SAO_PAULO)), '2018-02-18T02:59:59.999Z');
+            assert.strictEqual(iso(dateUtils.startOfDay('2018-02-18', SAO_PAULO)), '2018-02-18T03:00:00.000Z');
+        });
+
+        eachServerTimeZone('acompanham dias de 23 e 25 horas', () => {
+            assert.strictEqual(iso(dateUtils.startOfDay('2023-03-12', NEW_YORK)), '2023-03-12T05:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay('2023-03-12', NEW_YORK)), '2023-03-13T03:59:59.999Z');
+            assert.strictEqual(iso(dateUtils.startOfDay('2023-11-05', NEW_YORK)), '2023-11-05T04:00:00.000Z');
+            assert.strictEqual(iso(dateUtils.endOfDay('2023-11-05', NEW_YORK)), '2023-11-06T04:59:59.999Z');
+        });
+    });
+
+    describe('add', () => {
+        eachServerTimeZone('mantém o horário de relógio ao atravessar o horário de verão', () => {
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2023-03-11T15:00:00.000Z'), { days: 1 }, NEW_YORK)),
+                '2023-03-12T14:00:00.000Z'
+            );
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2023-11-04T14:00:00.000Z'), { days: 1 }, NEW_YORK)),
+                '2023-11-05T15:00:00.000Z'
+            );
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2018-11-03T15:00:00.000Z'), { days: 1 }, SAO_PAULO)),
+                '2018-11-04T14:00:00.000Z'
+            );
+        });
+
+        eachServerTimeZone('soma dias de calendário do fuso de negócio perto da meia-noite UTC', () => {
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2023-05-31T01:00:00.000Z'), { days: 1 }, SAO_PAULO)),
+                '2023-06-01T01:00:00.000Z'
+            );
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2023-05-10T01:00:00.000Z'), { days: -1 }, SAO_PAULO)),
+                '2023-05-09T01:00:00.000Z'
+            );
+        });
+
+        eachServerTimeZone('usa o último dia do mês quando o dia não existe no mês de destino', () => {
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2023-01-31T15:00:00.000Z'), { months: 1 }, SAO_PAULO)),
+                '2023-02-28T15:00:00.000Z'
+            );
+            assert.strictEqual(
+                iso(dateUtils.add(new Date('2024-02-29T15:00:00.000Z'), { years: 1 }, SAO_PAULO)),
+                '2025-02-28T15:00:00.000Z'
+            );
+        });
+    });
+});
@@ -0,0 +1,7 @@
+/**
+ * BaseService usado nos testes quando o serviço roda fora do projeto e ../../base/base_service não existe.
+ * O SaleService só herda o construtor, então uma classe vazia basta.
+ */
+class BaseService {}
+
+module.exports = BaseService;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+/**
+ * MongoDB em memória para os testes que precisam de transações: um replica set de um nó com wiredTiger,
+ * já que transações não funcionam em um mongod isolado.
+ * Os models precisam estar registrados no mongoose (ou seja, o sale_service já carregado) antes de startMongo,
+ * para que as coleções e os índices únicos sejam criados antes da primeira transação.
+ */
+async function startMongo() {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+    await mongoose.connect(replSet.getUri());
+    await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+
+    return replSet;
+}
+
+/**
+ * A função clearMongo apaga os documentos de todas as coleções, mantendo coleções e índices.
+ */
+async function clearMongo() {
+    await Promise.all(Object.values(mongoose.models).map((model) => model.deleteMany({})));
+}
+
+async function stopMongo(replSet) {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+}
+
+module.exports = {
+    startMongo,
+    clearMongo,
+    stopMongo
+};
@@ -0,0 +1,19 @@
+const Module = require('module');
+const path = require('path');
+
+/**
+ * Carregado com --require antes dos testes (ver o script test do package.json).
+ * O sale_service herda de ../../base/base_service, que fica fora deste diretório; quando ele não é encontrado,
+ * a resolução cai no BaseService de test/helpers, e os testes rodam com o serviço isolado do resto do projeto.
+ */
+const BASE_SERVICE = '../../base/base_service';
+const resolveFilename = Module._resolveFilename;
+
+Module._resolveFilename = function (request, parent, ...args) {
+    try {
+        return resolveFilename.call(this, request, parent, ...args);
+    } catch (error) {
+        if (request !== BASE_SERVICE || error.code !== 'MODULE_NOT_FOUND') throw error;
+        return path.join(__dirname, 'base_service.js');
+    }
+};
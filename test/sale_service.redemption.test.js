@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const SaleService = require('../sale_service');
+const { startMongo, clearMongo, stopMongo } = require('./helpers/mongo');
+
+/**
+ * Utilizações simultâneas de cashback do mesmo CPF: cada create() com usedCashback roda o débito em uma transação,
+ * então, disparadas em paralelo, só passam as utilizações que o saldo cobre e o ledger nunca fica negativo.
+ */
+const CPF = '12345678909';
+const CREDITS = [3000, 2000];
+const REDEMPTION_VALUE = 1500;
+const PARALLEL_REDEMPTIONS = 8;
+
+describe('SaleService - utilização simultânea de cashback', { timeout: 120000 }, () => {
+    let replSet;
+    let service;
+
+    before(async () => {
+        service = new SaleService(
+            {},
+            { sandbox: true, fixtures: { users: [{ cpf: CPF, firstName: 'Cliente', email: 'cliente@example.com' }] } }
+        );
+        replSet = await startMongo();
+    });
+
+    after(async () => {
+        await stopMongo(replSet);
+    });
+
+    beforeEach(async () => {
+        await clearMongo();
+
+        for (const [index, value] of CREDITS.entries()) {
+            const saleId = new mongoose.Types.ObjectId();
+            const invoiceKey = `SOURCE-${index}`;
+
+            await service._saleModel.collection.insertOne({
+                _id: saleId,
+                status: 'AVAILABLE',
+                invoiceKey,
+                cpf: CPF,
+                usedCampaign: 'SEED',
+                totalCashback: value,
+                availableCashback: value,
+                saleDate: new Date(),
+                creditDate: new Date(),
+                expirateDate: new Date(Date.now() + (index + 1) * 24 * 60 * 60 * 1000),
+                customer: { id: CPF, name: 'Cliente', email: 'cliente@example.com' },
+                cashbackUseHistory: []
+            });
+
+            await service._addLedgerEntries([
+                {
+                    cpf: CPF,
+                    type: 'CREDIT',
+                    value,
+                    sale: saleId,
+                    campaign: 'SEED',
+                    reference: { sale: saleId, invoiceKey }
+                }
+            ]);
+        }
+    });
+
+    const redemption = (index) => ({
+        invoice: { key: `REDEMPTION-${index}` },
+        order: { number: `R${index}`, origin: 'PDV' },
+        customer: { id: CPF, name: 'Cliente', email: 'cliente@example.com' },
+        verification: new Date().toISOString(),
+        salesChannel: 'PDV',
+        usedCashback: true,
+        usedCashbackValue: REDEMPTION_VALUE,
+        items: [{ partnumber: 'M1.C1.42', unitPrice: 5000, quantity: 1 }],
+        paymentMethod: [{ type: 'CASHBACK', value: REDEMPTION_VALUE }]
+    });
+
+    it('aprova exatamente as utilizações que o saldo cobre e não deixa saldo negativo', async () => {
+        const total = CREDITS.reduce((prev, cur) => prev + cur, 0);
+        const affordable = Math.floor(total / REDEMPTION_VALUE);
+
+        const results = await Promise.allSettled(
+            Array.from({ length: PARALLEL_REDEMPTIONS }, (_, index) => service.create(redemption(index)))
+        );
+
+        const fulfilled = results.filter((result) => result.status === 'fulfilled');
+        const rejected = results.filter((result) => result.status === 'rejected');
+
+        assert.strictEqual(fulfilled.length, affordable);
+        rejected.forEach((result) => assert.strictEqual(result.reason.message, 'INSUFFICIENT_FUNDS'));
+
+        const salesBalance = await service._cashbackLedgerModel.aggregate([
+            { $match: { cpf: CPF } },
+            { $group: { _id: '$sale', value: { $sum: '$value' } } }
+        ]);
+        salesBalance.forEach((saleBalance) =>
+            assert.ok(saleBalance.value >= 0, `saldo negativo na venda ${saleBalance._id}`)
+        );
+
+        const balanceAgg = await service._getBalance(CPF);
+        assert.strictEqual(balanceAgg.balance, total - affordable * REDEMPTION_VALUE);
+
+        assert.strictEqual(await service._saleModel.countDocuments({ cpf: CPF, status: 'USED' }), affordable);
+        assert.strictEqual(
+            await service._receivedSaleModel.countDocuments({
+                status: 'REJECTED',
+                'lastError.message': 'INSUFFICIENT_FUNDS'
+            }),
+            PARALLEL_REDEMPTIONS - affordable
+        );
+    });
+});
@@ -0,0 +1,76 @@
+process.env.CASHBACK_TIME_ZONE = 'America/Sao_Paulo';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const SaleService = require('../sale_service');
+
+/**
+ * O período do relatório de vendas é de dias inteiros no fuso de negócio: startDate vira o início do dia e endDate o fim,
+ * qualquer que seja o horário recebido e o TZ do servidor. O model de vendas é trocado por um que só guarda o filtro recebido.
+ */
+const SERVER_TIME_ZONES = ['UTC', 'America/Sao_Paulo', 'Asia/Tokyo'];
+
+const originalTZ = process.env.TZ;
+
+describe('SaleService - período do relatório de vendas', () => {
+    let service;
+    let queries;
+
+    beforeEach(() => {
+        queries = [];
+        service = new SaleService({}, { sandbox: true });
+        service._saleModel = {
+            exists: async (query) => {
+                queries.push(query);
+                return null;
+            }
+        };
+    });
+
+    afterEach(() => {
+        if (originalTZ === undefined) delete process.env.TZ;
+        else process.env.TZ = originalTZ;
+    });
+
+    const reportsQuery = async (filters) => {
+        await assert.rejects(service.reports(filters), { message: 'SALE_NOT_FOUND' });
+        return queries[0];
+    };
+
+    SERVER_TIME_ZONES.forEach((serverTimeZone) => {
+        describe(`TZ=${serverTimeZone}`, () => {
+            beforeEach(() => {
+                process.env.TZ = serverTimeZone;
+            });
+
+            it('vai do início de startDate ao fim de endDate', async () => {
+                const query = await reportsQuery({ startDate: '2023-05-10', endDate: '2023-05-12' });
+
+                assert.strictEqual(query.saleDate.$gte.toISOString(), '2023-05-10T03:00:00.000Z');
+                assert.strictEqual(query.saleDate.$lte.toISOString(), '2023-05-13T02:59:59.999Z');
+            });
+
+            it('ignora o horário das datas recebidas', async () => {
+                const query = await reportsQuery({
+                    startDate: '2023-05-10T15:30:00.000Z',
+                    endDate: '2023-05-13T01:00:00.000Z'
+                });
+
+                assert.strictEqual(query.saleDate.$gte.toISOString(), '2023-05-10T03:00:00.000Z');
+                assert.strictEqual(query.saleDate.$lte.toISOString(), '2023-05-13T02:59:59.999Z');
+            });
+
+            it('aceita só o início ou só o fim do período', async () => {
+                const startQuery = await reportsQuery({ startDate: '2023-05-10' });
+                assert.deepStrictEqual(Object.keys(startQuery.saleDate), ['$gte']);
+                assert.strictEqual(startQuery.saleDate.$gte.toISOString(), '2023-05-10T03:00:00.000Z');
+
+                queries = [];
+                const endQuery = await reportsQuery({ endDate: '2023-05-12' });
+                assert.deepStrictEqual(Object.keys(endQuery.saleDate), ['$lte']);
+                assert.strictEqual(endQuery.saleDate.$lte.toISOString(), '2023-05-13T02:59:59.999Z');
+            });
+        });
+    });
+});
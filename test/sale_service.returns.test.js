@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const SaleService = require('../sale_service');
+const { startMongo, clearMongo, stopMongo } = require('./helpers/mongo');
+
+/**
+ * Devolução de itens de uma venda cuja campanha foi limitada pelo orçamento: o cashback recalculado não passa do valor limitado
+ * e só a diferença entre o orçamento reservado e o novo cashback volta para o contador da campanha.
+ */
+const CPF = '12345678909';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUDGET_LIMIT = 1200;
+
+const fixtures = () => ({
+    campaigns: [
+        {
+            code: 'BUDGET10',
+            name: 'Orçamento 10%',
+            status: 'ACTIVE',
+            startDate: new Date(Date.now() - 30 * DAY_MS).toISOString(),
+            endDate: new Date(Date.now() + 30 * DAY_MS).toISOString(),
+            percentCashback: 10,
+            budgetLimit: BUDGET_LIMIT,
+            salesChannel: 'PDV',
+            daysToCreditPdv: 1,
+            daysToRescue: 30,
+            rules: [{ field: 'model', operator: 'eq', value: 'M1' }]
+        }
+    ],
+    users: [{ cpf: CPF, firstName: 'Cliente', email: 'cliente@example.com' }]
+});
+
+describe('SaleService - devolução com campanha limitada pelo orçamento', { timeout: 120000 }, () => {
+    let replSet;
+    let service;
+
+    before(async () => {
+        replSet = await startMongo();
+    });
+
+    after(async () => {
+        await stopMongo(replSet);
+    });
+
+    beforeEach(async () => {
+        await clearMongo();
+        service = new SaleService({}, { sandbox: true, fixtures: fixtures() });
+    });
+
+    const consumedBudget = async () =>
+        (await service._campaignBudgetModel.findOne({ key: 'CAMPAIGN:BUDGET10' })).consumed;
+
+    const assertSaleCashback = (sale, totalCashback) => {
+        assert.strictEqual(sale.totalCashback, totalCashback);
+        assert.strictEqual(sale.appliedCampaigns[0].totalCashback, totalCashback);
+        assert.strictEqual(
+            sale.items.reduce((prev, cur) => prev + (cur.totalCashback || 0), 0),
+            totalCashback
+        );
+        assert.deepStrictEqual(
+            sale.budgetReservations.map((reservation) => reservation.value),
+            [totalCashback]
+        );
+    };
+
+    it('mantém o valor limitado e devolve ao orçamento só o que o novo cashback não usa', async () => {
+        const sale = await service.create({
+            invoice: { key: 'NF-BUDGET-1' },
+            order: { number: 'B1', origin: '0101' },
+            customer: { id: CPF, name: 'Cliente', email: 'cliente@example.com' },
+            verification: new Date().toISOString(),
+            salesChannel: 'PDV',
+            items: [{ partnumber: 'M1.C1.42', unitPrice: 5000, quantity: 4 }],
+            paymentMethod: [{ type: 'PIX', value: 20000 }]
+        });
+
+        assert.ok(sale.appliedCampaigns[0].budgetCapped);
+        assertSaleCashback(sale, BUDGET_LIMIT);
+        assert.strictEqual(await consumedBudget(), BUDGET_LIMIT);
+
+        // Três peças dariam 1500 pelas regras, mais do que o limite: nada muda e nada volta ao orçamento.
+        const afterFirstReturn = await service.returnItems(sale._id, [{ partnumber: 'M1.C1.42', quantity: 1 }]);
+
+        assertSaleCashback(afterFirstReturn, BUDGET_LIMIT);
+        assert.strictEqual(afterFirstReturn.returns[0].returnedCashback, 0);
+        assert.strictEqual(await consumedBudget(), BUDGET_LIMIT);
+
+        // Com uma peça o cashback cai para 500 e os 700 restantes voltam ao orçamento.
+        const afterSecondReturn = await service.returnItems(sale._id, [{ partnumber: 'M1.C1.42', quantity: 2 }]);
+
+        assertSaleCashback(afterSecondReturn, 500);
+        assert.strictEqual(afterSecondReturn.returns[1].returnedCashback, BUDGET_LIMIT - 500);
+        assert.strictEqual(await consumedBudget(), 500);
+    });
+});
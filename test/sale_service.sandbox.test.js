@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const SaleService = require('../sale_service');
+const { startMongo, clearMongo, stopMongo } = require('./helpers/mongo');
+
+/**
+ * Venda de ponta a ponta no modo sandbox: create() recebe a venda, _generateCashback aplica a campanha das fixtures
+ * e grava a venda e o outbox, e dispatchOutbox entrega o e-mail e os eventos da Dito pelas integrações em memória.
+ */
+const CPF = '12345678909';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fixtures = () => ({
+    campaigns: [
+        {
+            code: 'SANDBOX10',
+            name: 'Sandbox 10%',
+            status: 'ACTIVE',
+            startDate: new Date(Date.now() - 30 * DAY_MS).toISOString(),
+            endDate: new Date(Date.now() + 30 * DAY_MS).toISOString(),
+            percentCashback: 10,
+            salesChannel: 'PDV',
+            daysToCreditPdv: 1,
+            daysToRescue: 30,
+            rules: [{ field: 'model', operator: 'eq', value: 'M1' }]
+        }
+    ],
+    users: [{ cpf: CPF, firstName: 'Cliente', email: 'cliente@example.com' }]
+});
+
+describe('SaleService - venda no modo sandbox', { timeout: 120000 }, () => {
+    let replSet;
+    let service;
+
+    before(async () => {
+        replSet = await startMongo();
+    });
+
+    after(async () => {
+        await stopMongo(replSet);
+    });
+
+    beforeEach(async () => {
+        await clearMongo();
+        service = new SaleService({}, { sandbox: true, fixtures: fixtures() });
+    });
+
+    const saleData = () => ({
+        invoice: { key: 'NF-SANDBOX-1' },
+        order: { number: 'S1', origin: '0101' },
+        customer: { id: CPF, name: 'Cliente', email: 'cliente@example.com' },
+        verification: new Date().toISOString(),
+        salesChannel: 'PDV',
+        items: [{ partnumber: 'M1.C1.42', unitPrice: 10000, quantity: 1 }],
+        paymentMethod: [{ type: 'PIX', value: 10000 }]
+    });
+
+    it('gera o cashback da campanha e entrega e-mail e eventos pelo outbox', async () => {
+        const sale = await service.create(saleData());
+
+        assert.strictEqual(sale.status, 'PENDING');
+        assert.strictEqual(sale.usedCampaign, 'SANDBOX10');
+        assert.strictEqual(sale.totalCashback, 1000);
+        assert.ok(sale.creditDate > new Date(sale.saleDate));
+
+        const receivedSale = await service._receivedSaleModel.findOne({ idempotencyKey: 'NF-SANDBOX-1' });
+        assert.strictEqual(receivedSale.status, 'PROCESSED');
+        assert.strictEqual(String(receivedSale.sale), String(sale._id));
+
+        const dispatch = await service.dispatchOutbox();
+        assert.strictEqual(dispatch.failed, 0);
+        assert.strictEqual(dispatch.retrying, 0);
+        assert.ok(dispatch.sent > 0);
+
+        assert.deepStrictEqual(
+            service._notificationsIntegration.emails.map((email) => [email.template, email.data.to]),
+            [['REDEEM_CASHBACK', 'cliente@example.com']]
+        );
+        assert.deepStrictEqual(service._ditoEventsIntegration.events.map((event) => event.action).sort(), [
+            'gerou_cashback',
+            'participou_cashback'
+        ]);
+    });
+
+    it('devolve a mesma venda quando a venda é reenviada', async () => {
+        const sale = await service.create(saleData());
+        const resent = await service.create(saleData());
+
+        assert.strictEqual(String(resent._id), String(sale._id));
+        assert.strictEqual(await service._saleModel.countDocuments({ cpf: CPF }), 1);
+    });
+});